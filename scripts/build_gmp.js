@@ -1,59 +1,149 @@
 /**
  * build_gmp.js — LiveGMP single-pipeline builder (v2, no Google Sheets)
  *
- * Flow:  fetch source (tiered) -> parse by HEADER NAME -> validate ->
- *        write gmp.json -> rebuild HTML between GMP_START/GMP_END -> done.
+ * Flow:  fetch sources (merged, or tiered) -> parse via each source's adapter
+ *        (scripts/sources/, default = tables by HEADER NAME) -> validate ->
+ *        merge by fuzzy IPO name (median GMP) -> editorial overrides
+ *        (data/overrides.json: field fixes, hide, pin, notes) -> join subscription figures
+ *        (scripts/subscription/, tiered, last good in data/subscription.json) ->
+ *        grade listed IPOs' last estimate vs actual price (data/outcomes.json) ->
+ *        write gmp.json -> append changed rows to data/history/<slug>.json ->
+ *        rebuild HTML between GMP_START/GMP_END -> stub pages (archived
+ *        once off the board for ARCHIVE_AFTER_DAYS), accuracy.html,
+ *        calendar/ + ipo-calendar.ics, sitemap, static JSON API under api/v1/
+ *        (written only when content changed; data/manifest.json) ->
+ *        gmp.csv + gmp-history.csv ->
+ *        feed.xml / feed.json from the diff against the previous gmp.json ->
+ *        notifications (scripts/notify/, channels in data/notify.json) ->
+ *        append to data/runs.jsonl + rebuild status.html (every run, any outcome).
+ *
+ * Markup: every generated HTML page and section (layout, header, footer,
+ *        cards, stubs, trend, calendar, accuracy, status …) is a
+ *        templates/*.html file rendered by scripts/template.js with values
+ *        escaped by default; builders only assemble the view data. The hand-written pages pull the same
+ *        header/footer in between <!-- PARTIAL … --> markers.
  *
  * Safety rules:
  *  - A row is accepted only if GMP parses as a number or an explicit blank (₹-).
  *  - A source is accepted only if it yields >= MIN_ROWS valid rows.
+ *  - In "merge" mode every accepted source contributes; the published GMP is
+ *    the median across sources and rows whose sources disagree by more than
+ *    MERGE_DISAGREE_ABS/PCT are flagged `disputed`.
+ *  - Rows are checked against the committed gmp.json and history before
+ *    publishing: implausible GMPs are held at their last values and run-wide
+ *    glitches (mass zeroing, active IPOs vanishing) abort the run; findings
+ *    go to data/anomalies.json.
  *  - If ALL sources fail, the script EXITS NONZERO and touches nothing:
  *    last-good gmp.json + index.html stay live. Stale data can never
  *    overwrite good data.
+ *  - One IPO = one slug: names resolve through data/aliases.json, and a new
+ *    name resembling a known slug is logged as a warning, never auto-merged.
+ *  - An override failing data/overrides.schema.json is skipped with a
+ *    warning; one whose slug matches no known IPO is warned about (a typo).
+ *  - Subscription figures are a second, optional dataset: if every
+ *    subscription source fails, the last-good figures are joined instead and
+ *    the GMP update goes ahead regardless.
  *  - If parsed data is identical to committed gmp.json, exit 0 without
- *    writing (=> no commit, no deploy).
+ *    touching published data; only the run log (data/runs.jsonl,
+ *    status.html) is updated, plus any stub whose ARCHIVE_AFTER_DAYS ran out
+ *    (with ipo/index.html and the sitemap).
  *
+ * Usage:    node scripts/build_gmp.js [--dry-run] [--source <name>] [--from-file <html>]
+ *                [--only stubs|index|sitemap] [--out <dir>] [--json]   (--help for details)
  * Requires: cheerio (npm i cheerio). Node 20+ (global fetch).
+ * Tests:    npm test (node --test, offline against test/fixtures/*.html).
+ *           Requiring this file exports the pipeline functions without running it.
  */
 
 const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { parseArgs } = require("util");
 const { load } = require("cheerio");
+const { esc, clean, slugify } = require("./util");
+const { HEADER_MAP, mapHeaders, scoreTable, parseSourceHtml } = require("./sources/generic");
+const { render, renderPartials } = require("./template");
+const { notify } = require("./notify");
+const {
+  gmpLabelAndClass, sourcesLine, timesLabel, shortDay, subscriptionLine, listingLabel, groupRows,
+  CSV_COLUMNS, csvCell, toCsv,
+} = require("../static/gmp-shared");
 
 // ---------------- config ----------------
-const MAX_PER_GROUP = 10;          // cards per Active/Upcoming/Closed section
 const MIN_ROWS = 8;                // reject a source returning fewer valid rows
 const MIN_VALID_RATIO = 0.7;       // >=70% of raw rows must validate
 const GMP_JSON = "gmp.json";
 const INDEX_HTML = "index.html";
+const STATIC_PAGES = ["what-is-gmp.html", "ipo-allotment-status.html"]; // hand-written, with PARTIAL markers
+const ALIASES_JSON = "data/aliases.json";
+const OVERRIDES_JSON = "data/overrides.json";          // editorial fixes keyed by slug
+const OVERRIDES_SCHEMA = "data/overrides.schema.json";
+const HISTORY_DIR = "data/history";
+const HISTORY_FULL_DAYS = 7;       // points newer than this are kept as-is
+const HISTORY_MAX_POINTS = 400;    // hard cap per IPO after compaction
+const ANOMALY_JSON = "data/anomalies.json"; // what the guard held back and why
+const ANOMALY_GMP_PRICE_MAX = 2;   // |GMP| above 200% of the upper price band is a glitch
+const ANOMALY_JUMP_FACTOR = 4;     // |GMP| above 4x the recent high (gmp.json + history) ...
+const ANOMALY_JUMP_MIN_ABS = 20;   // ... and moving more than ₹20 is held back
+const ANOMALY_HISTORY_POINTS = 24; // history points that make up "recent"
+const ANOMALY_CONFIRM_RUNS = 3;    // the same held value this many runs in a row is accepted
+const ANOMALY_ZERO_RATIO = 0.5;    // abort if half the quoted IPOs drop to 0/blank at once ...
+const ANOMALY_ZERO_MIN = 3;        // ... and at least this many
+const ANOMALY_VANISHED_RATIO = 0.5;// abort if half the active IPOs vanish before their close date ...
+const ANOMALY_VANISHED_MIN = 2;    // ... and at least this many
+const SUBSCRIPTION_JSON = "data/subscription.json"; // last-good day-wise subscription figures
+const SUB_MIN_ROWS = 2;            // fewer IPOs are bidding at once than are quoted in the grey market
+const SUB_KEEP_DAYS = 30;          // IPOs gone from the subscription tables this long are forgotten
+const CALENDAR_HTML = "calendar/index.html";
+const CALENDAR_ICS = "ipo-calendar.ics";
+const STUB_ICS = "calendar.ics";   // per stub, next to its index.html
+const LISTINGS_JSON = "data/listings.json";  // manual actual prices: { "<slug>": { price, date?, type? } }
+const OUTCOMES_JSON = "data/outcomes.json";  // estimate vs actual, per listed IPO
+const ACCURACY_HTML = "accuracy.html";
+const ACCURACY_BANDS = [5, 10];    // ± % windows the scoreboard counts as hits
+const STUBS_JSON = "data/stubs.json";   // per-stub lastSeen / archived day (IST)
+const ARCHIVE_AFTER_DAYS = Number(process.env.LIVEGMP_ARCHIVE_AFTER_DAYS) || 7; // unseen this long -> archived page
+const MANIFEST_JSON = "data/manifest.json"; // content hash + real lastmod per generated/listed page
+const RUNS_JSONL = "data/runs.jsonl";  // one line per build, newest last
+const RUNS_KEEP = 24 * 30;         // ~30 days of hourly runs
+const STATUS_HTML = "status.html";
+const STATUS_RECENT = 48;          // runs listed on status.html
+const API_DIR = "api/v1";          // static JSON API, same host as the site
+const API_SCHEMA_VERSION = "1.0";  // bump with any breaking change to api/v1/schema.json
+const GMP_CSV = "gmp.csv";
+const HISTORY_CSV = "gmp-history.csv";
+const FEED_JSON = "feed.json";     // JSON Feed 1.1; also the store for the rolling window
+const FEED_XML = "feed.xml";       // Atom, rendered from the same items
+const FEED_GMP_MOVE = Number(process.env.LIVEGMP_FEED_GMP_MOVE) || 10; // ₹ run-to-run move that gets an entry
+const FEED_WINDOW_DAYS = 14;       // entries older than this drop out ...
+const FEED_MAX_ITEMS = 100;        // ... as do all but the newest N
+const NOTIFY_GMP_JUMP_PCT = Number(process.env.LIVEGMP_NOTIFY_GMP_JUMP_PCT) || 20; // % move that notifies
 const UA = "Mozilla/5.0 (compatible; LiveGMPBot/2.0; +https://livegmp.in)";
 
-// Sources are tried in order; first one passing validation wins.
+// "merge": scrape every source and publish the per-IPO consensus.
+// "tiered": sources are tried in order; first one passing validation wins.
+const SOURCE_MODE = process.env.LIVEGMP_SOURCE_MODE || "merge";
+const MERGE_DISAGREE_ABS = 10;     // flag when source GMPs spread more than ₹10 ...
+const MERGE_DISAGREE_PCT = 0.25;   // ... and more than 25% of the consensus GMP
+const NAME_MATCH_MIN = 0.9;        // bigram similarity needed to treat two names as one IPO
+const NAME_WARN_MIN = 0.75;        // ... and above this, a new slug is warned about as a near-duplicate
+
+// Source adapters (scripts/sources/*.js, contract in sources/generic.js).
+// Order is priority: in merge mode the first source supplies non-GMP fields.
 const SOURCES = [
-  { name: "ipowatch",   url: "https://ipowatch.in/ipo-grey-market-premium-latest-ipo-gmp/" },
-  { name: "ipowala",    url: "https://ipowala.in/ipo-grey-market-premium-gmp/" },
-  { name: "chanakya",   url: "https://chanakyanipothi.com/ipo-gmp-today/" },
+  require("./sources/ipowatch"),
+  require("./sources/ipowala"),
+  require("./sources/chanakya"),
 ];
 
-// Header synonyms -> canonical field. Matching is "header CONTAINS key".
-// Order matters: first match wins, so put more specific keys first.
-const HEADER_MAP = [
-  { field: "ipo",     keys: ["ipo name", "company", "ipo"] },
-  { field: "gmp",     keys: ["ipo gmp", "gmp", "premium"] },
-  { field: "price",   keys: ["price band", "ipo price", "issue price", "price"] },
-  { field: "listing", keys: ["est. listing", "est listing", "estimated listing", "listing price", "listing gain", "listing"] },
-  { field: "date",    keys: ["date", "open", "close"] },
-  { field: "type",    keys: ["type", "board", "exchange"] },
-  { field: "status",  keys: ["status", "stage"] },
-  { field: "updated", keys: ["last updated", "updated"] },
+// Subscription adapters (scripts/subscription/*.js, contract in
+// subscription/generic.js). Always tiered: first source passing validation wins.
+const SUBSCRIPTION_SOURCES = [
+  require("./subscription/ipowatch"),
+  require("./subscription/chittorgarh"),
 ];
 
 // ---------------- helpers ----------------
-const esc = (s = "") =>
-  String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
-
-const clean = (s = "") => String(s ?? "").replace(/\s+/g, " ").trim();
-
 function parseGmpNumber(raw) {
   const s = clean(raw);
   if (s === "" ) return { n: NaN, blank: false };
@@ -72,6 +162,7 @@ function normalizeStatus(raw) {
   if (!s) return "";
   if (s.includes("upcom")) return "upcoming";
   if (s.includes("open") || s.includes("active") || s.includes("live") || s.includes("current")) return "active";
+  if (s.includes("listed")) return "listed";
   if (s.includes("clos") || s.includes("list") || s.includes("allot")) return "closed";
   return "";
 }
@@ -84,39 +175,94 @@ function normalizeType(raw) {
   return "";
 }
 
-function slugify(name) {
-  return clean(name).toLowerCase()
-    .replace(/\s+/g, "-").replace(/[^a-z0-9-]/g, "")
-    .replace(/-+/g, "-").replace(/^-|-$/g, "");
+// ---- structured numbers (raw strings are kept alongside for display) ----
+const round2 = n => Math.round(n * 100) / 100;
+const numbersIn = s => (clean(s).replace(/,/g, "").match(/\d+(?:\.\d+)?/g) || []).map(Number);
+
+// "₹786" | "₹95-100" | "₹95 to ₹100" | "₹-"  ->  { priceLow, priceHigh }
+function parsePriceBand(raw) {
+  const n = numbersIn(raw).slice(0, 2);
+  if (!n.length) return { priceLow: null, priceHigh: null };
+  return { priceLow: Math.min(...n), priceHigh: Math.max(...n) };
+}
+
+// "₹328 (21.48%)" | "₹95 (-5%)" | "21.48%" | "₹- (0.00%)"  ->  { listingPrice, listingGainPct }
+function parseListing(raw) {
+  const s = clean(raw).replace(/,/g, "");
+  const pct = s.match(/([-+]?\d+(?:\.\d+)?)\s*%/);
+  const price = numbersIn(s.replace(/\(?\s*[-+]?\d+(?:\.\d+)?\s*%\s*\)?/, ""))[0];
+  // a percentage next to a blank price ("₹- (0.00%)") is a placeholder, not data
+  if (price === undefined) return { listingPrice: null, listingGainPct: pct && !/^(₹|rs\.?)?\s*[-–—]\s*\(/i.test(s) ? +pct[1] : null };
+  return { listingPrice: price, listingGainPct: pct ? +pct[1] : null };
 }
 
-// ---- date parsing (fallback only, when a source has no Status column) ----
+// "1600 Shares" -> 1600
+function parseLotSize(raw) {
+  const n = numbersIn(raw);
+  return n.length ? Math.round(n[0]) : null;
+}
+
+// Actual listing-day price: "₹150.50 (+10.66%)" -> 150.5
+function parseListedPrice(raw) {
+  const n = numbersIn(raw);
+  return n.length && n[0] > 0 ? n[0] : null;
+}
+
+// Issue size in ₹ crore: "₹45.50 Cr" -> 45.5, "₹850 Lakh" -> 8.5
+function parseIssueSize(raw) {
+  const n = numbersIn(raw);
+  if (!n.length) return null;
+  return /lakh|lac/i.test(raw) ? round2(n[0] / 100) : n[0];
+}
+
+// Fill listingPrice/listingGainPct from price + GMP when the source left them out.
+function estimateListing(r) {
+  if (r.gmp === null || !r.priceHigh) return r;
+  if (r.listingPrice === null) r.listingPrice = round2(r.priceHigh + r.gmp);
+  if (r.listingGainPct === null) r.listingGainPct = round2((r.listingPrice - r.priceHigh) / r.priceHigh * 100);
+  return r;
+}
+
+// ---- IPO dates: free text -> ISO (YYYY-MM-DD) once, then carried forward ----
+// All date math is done on UTC calendar dates compared against an IST-shifted
+// clock, so results do not depend on the machine's timezone.
 const MONTHS = { jan:0,feb:1,mar:2,apr:3,may:4,jun:5,jul:6,aug:7,sep:8,oct:9,nov:10,dec:11 };
+const DAY_MS = 24 * 3600 * 1000;
+const IST_OFFSET_MS = 5.5 * 3600 * 1000;
+const NO_DATE_RE = /tba|announc|n\/a/i;
+const utcDate = (y, m, d) => new Date(Date.UTC(y, m, d));
+const isoDate = d => d.toISOString().slice(0, 10);
 
 function parseDayMonth(token, defYear) {
   token = clean(token).replace(/\./g, "");
   let m = token.match(/^(\d{1,2})[-\/](\d{1,2})(?:[-\/](\d{2,4}))?$/);
-  if (m) return new Date(m[3] ? +m[3] : defYear, +m[2] - 1, +m[1]);
+  if (m) return utcDate(m[3] ? fullYear(m[3]) : defYear, +m[2] - 1, +m[1]);
   m = token.match(/^(\d{1,2})\s+([A-Za-z]{3,})\s*(\d{2,4})?$/);
   if (m) {
     const mo = MONTHS[m[2].slice(0, 3).toLowerCase()];
-    if (mo !== undefined) return new Date(m[3] ? +m[3] : defYear, mo, +m[1]);
+    if (mo !== undefined) return utcDate(m[3] ? fullYear(m[3]) : defYear, mo, +m[1]);
   }
   m = token.match(/^([A-Za-z]{3,})\s+(\d{1,2})\s*(\d{2,4})?$/); // "July 3"
   if (m) {
     const mo = MONTHS[m[1].slice(0, 3).toLowerCase()];
-    if (mo !== undefined) return new Date(m[3] ? +m[3] : defYear, mo, +m[2]);
+    if (mo !== undefined) return utcDate(m[3] ? fullYear(m[3]) : defYear, mo, +m[2]);
   }
   return null;
 }
 
-function computeStatusFromDate(text) {
-  const raw = clean(text);
-  if (!raw || /tba|announc|n\/a/i.test(raw)) return "upcoming";
-  const nowIST = new Date(Date.now() + 5.5 * 3600 * 1000);
-  const year = nowIST.getUTCFullYear();
-  const norm = raw.replace(/[\u2013\u2014–]/g, "-").replace(/\s+to\s+/i, "-");
-  const parts = norm.split("-").map(clean);
+const fullYear = y => (y.length === 2 ? 2000 + +y : +y);
+const FULL_DATE = String.raw`\d{1,2}[-/]\d{1,2}[-/]\d{2,4}`;
+const ONE_FULL_DATE_RE = new RegExp(`^${FULL_DATE}$`);
+const TWO_FULL_DATES_RE = new RegExp(`^(${FULL_DATE})\\s*-\\s*(${FULL_DATE})$`);
+
+// "3-5 August", "30-2 July", "1 July-3", "20/08/2026 to 22/08/2026",
+// "12-11-2025 to 14-11-2025" -> { start, end }
+function parseRange(raw, year) {
+  const norm = raw.replace(/[\u2013\u2014]/g, "-").replace(/\s+to\s+/i, "-");
+  // "20-08-2026" style dates use the same dash as ranges: keep a full date
+  // whole and split a pair of them only on the dash between the two.
+  const both = norm.match(TWO_FULL_DATES_RE);
+  const parts = both ? [both[1], both[2]] : ONE_FULL_DATE_RE.test(norm) ? [norm] : norm.split("-").map(clean);
 
   let end = parts.length > 1 ? parseDayMonth(parts[parts.length - 1], year) : null;
   let start = parseDayMonth(parts[0], year);
@@ -124,37 +270,167 @@ function computeStatusFromDate(text) {
   // Bare-day start like "30" in "30-2 July": inherit month/year from the end
   // date; if start day > end day it belongs to the previous month.
   if (!start && /^\d{1,2}$/.test(parts[0]) && end) {
-    start = new Date(end.getFullYear(), end.getMonth(), +parts[0]);
-    if (start > end) start = new Date(end.getFullYear(), end.getMonth() - 1, +parts[0]);
+    start = utcDate(end.getUTCFullYear(), end.getUTCMonth(), +parts[0]);
+    if (start > end) start = utcDate(end.getUTCFullYear(), end.getUTCMonth() - 1, +parts[0]);
   }
   // Bare-day end like "3" in "1 July-3": inherit from start.
   if (!end && parts.length > 1 && /^\d{1,2}$/.test(parts[parts.length - 1]) && start) {
-    end = new Date(start.getFullYear(), start.getMonth(), +parts[parts.length - 1]);
-    if (end < start) end = new Date(start.getFullYear(), start.getMonth() + 1, +parts[parts.length - 1]);
+    end = utcDate(start.getUTCFullYear(), start.getUTCMonth(), +parts[parts.length - 1]);
+    if (end < start) end = utcDate(start.getUTCFullYear(), start.getUTCMonth() + 1, +parts[parts.length - 1]);
   }
+  if (!start && !end) return null;
+  // "29 Dec-2 Jan": both ends carry a month, the window crosses New Year
+  if (start && end && end < start) end = utcDate(end.getUTCFullYear() + 1, end.getUTCMonth(), end.getUTCDate());
+  return { start: start || end, end: end || start };
+}
 
-  if (!start && !end) return "upcoming";
-  if (!start) start = end;
-  if (!end) end = start;
+// Sources omit the year, so pick the one that puts the window within ±6 months
+// of `now`: "29 Dec-2 Jan" read on 2 January is last December, not next.
+function resolveDateRange(text, now = Date.now()) {
+  const raw = clean(text);
+  const none = { openDate: null, closeDate: null };
+  if (!raw || NO_DATE_RE.test(raw)) return none;
+  const nowIST = now + IST_OFFSET_MS;
+  const year = new Date(nowIST).getUTCFullYear();
+  let r = parseRange(raw, year);
+  if (!r) return none;
+  const next = parseRange(raw, year + 1);
+  if (next.start.getTime() !== r.start.getTime()) { // year not written in the text
+    if (r.start - nowIST > 183 * DAY_MS) r = parseRange(raw, year - 1);
+    else if (nowIST - r.end > 183 * DAY_MS) r = next;
+  }
+  return { openDate: isoDate(r.start), closeDate: isoDate(r.end) };
+}
 
-  const s = new Date(start.getFullYear(), start.getMonth(), start.getDate(), 10, 0);
-  const e = new Date(end.getFullYear(), end.getMonth(), end.getDate(), 17, 0); // closes 5:00 PM IST
-  if (nowIST < s) return "upcoming";
-  if (nowIST <= e) return "active";
+// Single date ("26 Aug", "Tue, Aug 26, 2026") near a reference ISO date.
+function resolveSingleDate(text, refIso) {
+  const raw = clean(String(text ?? "").replace(/,/g, " ")).replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\s+/i, "");
+  if (!raw || NO_DATE_RE.test(raw) || !refIso) return null;
+  const ref = Date.parse(refIso);
+  const year = new Date(ref).getUTCFullYear();
+  let d = parseDayMonth(raw, year);
+  if (!d) return null;
+  if (ref - d > 183 * DAY_MS) d = parseDayMonth(raw, year + 1);
+  return isoDate(d);
+}
+
+// Weekends skipped; exchange holidays are not known here.
+function addWorkingDays(iso, n) {
+  const d = new Date(Date.parse(iso));
+  while (n > 0) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) n--;
+  }
+  return isoDate(d);
+}
+
+function resolveIpoDates(r, now = Date.now()) {
+  const { openDate, closeDate } = resolveDateRange(r.date, now);
+  return {
+    openDate,
+    closeDate,
+    allotmentDate: resolveSingleDate(r.allotmentDate, closeDate),
+    listingDate: resolveSingleDate(r.listingDate, closeDate),
+  };
+}
+
+// Opens 10:00 IST, closes 17:00 IST, lists 10:00 IST on the listing date —
+// or T+3 working days after close (SEBI timeline) when no source gives one.
+function statusFromDates(d, now = Date.now()) {
+  if (!d.openDate) return "upcoming";
+  const nowIST = now + IST_OFFSET_MS;
+  const at = (iso, hour) => Date.parse(iso) + hour * 3600 * 1000;
+  if (nowIST < at(d.openDate, 10)) return "upcoming";
+  if (nowIST <= at(d.closeDate, 17)) return "active";
+  if (nowIST >= at(d.listingDate || addWorkingDays(d.closeDate, 3), 10)) return "listed";
   return "closed";
 }
 
+// `now` (epoch ms) is injectable so tests can pin the clock.
+function computeStatusFromDate(text, now = Date.now()) {
+  return statusFromDates(resolveDateRange(text, now), now);
+}
+
+// A date text seen on an earlier run keeps the ISO dates resolved back then,
+// so an IPO's year never drifts once the calendar turns over.
+function carryForwardDates(rows, oldRows = [], now = Date.now()) {
+  const prev = new Map(oldRows.map(r => [r.slug || ipoSlug(r.ipo), r]));
+  for (const r of rows) {
+    const o = prev.get(r.slug);
+    if (!o || !o.openDate || o.date !== r.date) continue;
+    r.openDate = o.openDate;
+    r.closeDate = o.closeDate;
+    r.allotmentDate = r.allotmentDate || o.allotmentDate || null;
+    r.listingDate = r.listingDate || o.listingDate || null;
+    r.status = statusFromDates(r, now);
+  }
+  return rows;
+}
+
+const typeOf = v => v === null ? "null" : Array.isArray(v) ? "array" : typeof v;
+
+// The subset of JSON Schema that api/v1/schema.json and
+// data/overrides.schema.json use -> [{ at, msg }]. Refs are local ("#/$defs/…").
+function schemaErrors(value, schema, at = "", root = schema) {
+  const where = at || "(root)";
+  if (schema.$ref) {
+    const { $ref, ...rest } = schema;
+    const target = $ref.replace(/^#\/?/, "").split("/").filter(Boolean).reduce((s, k) => s && s[k], root);
+    if (!target) return [{ at: where, msg: `unresolved ${$ref}` }];
+    return [...schemaErrors(value, target, at, root), ...schemaErrors(value, rest, at, root)];
+  }
+  const types = [].concat(schema.type || []);
+  const isType = t => t === "integer" ? Number.isInteger(value) : typeOf(value) === t;
+  if (types.length && !types.some(isType)) {
+    return [{ at: where, msg: `expected ${types.join(" or ")}, got ${typeOf(value)}` }];
+  }
+  const errs = [];
+  for (const sub of schema.allOf || []) errs.push(...schemaErrors(value, sub, at, root));
+  if (schema.oneOf) {
+    const n = schema.oneOf.filter(sub => !schemaErrors(value, sub, at, root).length).length;
+    if (n !== 1) errs.push({ at: where, msg: `matches ${n} of the oneOf schemas, not 1` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) errs.push({ at: where, msg: `must be one of ${schema.enum.join(", ")}` });
+  if (typeof value === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errs.push({ at: where, msg: `"${value}" does not match ${schema.pattern}` });
+    if (schema.minLength !== undefined && value.length < schema.minLength) errs.push({ at: where, msg: "is empty" });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) errs.push({ at: where, msg: `is below ${schema.minimum}` });
+  if (Array.isArray(value) && schema.items) value.forEach((v, i) => errs.push(...schemaErrors(v, schema.items, `${at}[${i}]`, root)));
+  if (typeOf(value) !== "object") return errs;
+  for (const k of schema.required || []) if (!(k in value)) errs.push({ at: where, msg: `missing "${k}"` });
+  for (const [k, deps] of Object.entries(schema.dependentRequired || {})) {
+    for (const d of deps) if (k in value && !(d in value)) errs.push({ at: where, msg: `"${k}" needs "${d}"` });
+  }
+  for (const [k, v] of Object.entries(value)) {
+    const path = at ? `${at}.${k}` : k;
+    if (schema.propertyNames) errs.push(...schemaErrors(k, schema.propertyNames, path, root).map(e => ({ ...e, msg: `key ${e.msg}` })));
+    const sub = (schema.properties && schema.properties[k]) || schema.additionalProperties;
+    if (sub === false) errs.push({ at: path, msg: "unknown field" });
+    else if (typeOf(sub) === "object") errs.push(...schemaErrors(v, sub, path, root));
+  }
+  return errs;
+}
+
 // ---------------- fetch ----------------
-async function fetchHtml(url, attempts = 3) {
+// `stats` (optional) gets { status, ms, attempts, bytes } for the run log.
+async function fetchHtml(url, { attempts = 3, headers = {}, stats = {} } = {}) {
+  const started = Date.now();
   for (let i = 1; i <= attempts; i++) {
+    stats.attempts = i;
     try {
       const res = await fetch(url, {
-        headers: { "User-Agent": UA, "Accept": "text/html,*/*" },
+        headers: { "User-Agent": UA, "Accept": "text/html,*/*", ...headers },
         redirect: "follow",
       });
+      stats.status = res.status;
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      return await res.text();
+      const html = await res.text();
+      stats.ms = Date.now() - started;
+      stats.bytes = html.length;
+      return html;
     } catch (e) {
+      stats.ms = Date.now() - started;
       console.log(`  fetch attempt ${i}/${attempts} failed: ${e.message}`);
       if (i < attempts) await new Promise(r => setTimeout(r, 1500 * i));
     }
@@ -162,233 +438,761 @@ async function fetchHtml(url, attempts = 3) {
   throw new Error(`fetch failed after ${attempts} attempts: ${url}`);
 }
 
-// ---------------- header-mapped table parsing ----------------
-function mapHeaders(headerTexts) {
-  const map = {}; // field -> column index
-  headerTexts.forEach((h, idx) => {
-    const hl = h.toLowerCase();
-    for (const { field, keys } of HEADER_MAP) {
-      if (map[field] !== undefined) continue;
-      if (keys.some(k => hl.includes(k))) { map[field] = idx; break; }
+// ---------------- IPO identity: normalization, fuzzy match, aliases ----------------
+// Suffixes sources tack on inconsistently ("Ltd", "Limited", "SME IPO", "NSE SME").
+const NAME_NOISE = new Set(["ltd", "limited", "pvt", "private", "ipo", "sme", "nse", "bse", "emerge", "the"]);
+
+function normalizeIpoName(name) {
+  return clean(name).toLowerCase().replace(/&/g, " and ").replace(/[^a-z0-9 ]+/g, " ")
+    .split(" ").filter(w => w && !NAME_NOISE.has(w)).join(" ");
+}
+
+// Sørensen–Dice coefficient over character bigrams of the normalized names.
+function nameSimilarity(a, b) {
+  const x = normalizeIpoName(a).replace(/ /g, ""), y = normalizeIpoName(b).replace(/ /g, "");
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+  const grams = s => { const m = new Map(); for (let i = 0; i < s.length - 1; i++) { const g = s.slice(i, i + 2); m.set(g, (m.get(g) || 0) + 1); } return m; };
+  const gx = grams(x), gy = grams(y);
+  let hits = 0;
+  for (const [g, c] of gx) hits += Math.min(c, gy.get(g) || 0);
+  return (2 * hits) / (x.length - 1 + y.length - 1);
+}
+
+// ---- canonical slugs ----
+// data/aliases.json maps a canonical slug to the name variants sources use for
+// it: { "shree-balaji-textiles": ["Shree Balaji (Mala) Textiles"] }. Every
+// identity decision (dedupe, merge, stub dir, history file) goes through
+// ipoSlug() so one IPO can never fan out into several pages.
+const nameRegistry = { aliases: new Map(), known: [], warned: new Set() };
+
+async function loadNameRegistry() {
+  let aliases = {};
+  try { aliases = JSON.parse(await fs.readFile(ALIASES_JSON, "utf8")); }
+  catch (e) { if (e.code !== "ENOENT") throw new Error(`${ALIASES_JSON}: ${e.message}`); }
+  nameRegistry.aliases.clear();
+  for (const [slug, variants] of Object.entries(aliases)) {
+    for (const v of [slug, ...variants]) nameRegistry.aliases.set(normalizeIpoName(v), slug);
+  }
+  let historySlugs = [];
+  try { historySlugs = (await fs.readdir(HISTORY_DIR)).filter(f => f.endsWith(".json")).map(f => f.slice(0, -5)); } catch {}
+  nameRegistry.known = [...new Set([...Object.keys(aliases), ...await listIpoDirs(), ...historySlugs])];
+  console.log(`Name registry: ${Object.keys(aliases).length} aliased IPOs, ${nameRegistry.known.length} known slugs.`);
+}
+
+function ipoSlug(name, registry = nameRegistry) {
+  const norm = normalizeIpoName(name);
+  const aliased = registry.aliases.get(norm);
+  if (aliased) return aliased;
+  // new IPOs get a slug without trailing "SME IPO" / "Ltd" noise
+  const words = clean(name).split(" ");
+  while (words.length > 1 && NAME_NOISE.has(words[words.length - 1].toLowerCase().replace(/[^a-z]/g, ""))) words.pop();
+  const slug = slugify(words.join(" "));
+  if (!slug || registry.known.includes(slug)) return slug;
+  // "Foo Ltd" vs existing "foo-limited": identical once suffixes are stripped
+  const same = registry.known.find(k => normalizeIpoName(k) === norm);
+  if (same) return same;
+  if (!registry.warned.has(slug)) {
+    let best = null, bestScore = 0;
+    for (const k of registry.known) {
+      const score = nameSimilarity(k, name);
+      if (score > bestScore) { best = k; bestScore = score; }
     }
-  });
-  return map;
-}
-
-function scoreTable($, $t) {
-  const first = $t.find("tr").first();
-  const cells = first.find("th").length ? first.find("th") : first.find("td");
-  const headers = [];
-  cells.each((_, c) => headers.push(clean($(c).text())));
-  const map = mapHeaders(headers);
-  // must at least identify IPO name + GMP columns to be our table
-  const ok = map.ipo !== undefined && map.gmp !== undefined;
-  // score = how many canonical fields this table's headers expose.
-  // The LIVE table (ipo/gmp/price/listing/date/type/status/updated) scores far
-  // higher than history tables (ipo/price/gmp/listing) even if history has
-  // 10x more rows — so field coverage decides, row count only breaks ties.
-  const score = Object.keys(map).length;
-  return { ok, map, headers, score, rows: $t.find("tr").length };
-}
-
-function parseSourceHtml(html) {
-  const $ = load(html);
-  let best = null;
-  $("table").each((_, t) => {
-    const $t = $(t);
-    const info = scoreTable($, $t);
-    if (!info.ok) return;
-    if (!best || info.score > best.score ||
-        (info.score === best.score && info.rows > best.rows)) {
-      best = { $t, ...info };
+    if (bestScore >= NAME_WARN_MIN) {
+      registry.warned.add(slug);
+      console.warn(`  WARN: new slug "${slug}" (${clean(name)}) looks like existing "${best}" ` +
+        `(similarity ${bestScore.toFixed(2)}). If it is the same IPO, add it to ${ALIASES_JSON}.`);
     }
-  });
-  if (!best) throw new Error("no table with recognizable IPO+GMP headers");
-  console.log(`  table headers: [${best.headers.join(" | ")}]`);
-
-  const rows = [];
-  best.$t.find("tr").slice(1).each((_, tr) => {
-    const tds = $(tr).find("td");
-    if (!tds.length) return;
-    const cell = i => (i === undefined || i >= tds.length) ? "" : clean($(tds[i]).text());
-    const m = best.map;
-    rows.push({
-      ipo: cell(m.ipo),
-      gmpRaw: cell(m.gmp),
-      price: cell(m.price),
-      listing: cell(m.listing),
-      date: cell(m.date),
-      type: cell(m.type),
-      status: cell(m.status),
-      updated: cell(m.updated),
-    });
-  });
-  return rows;
+  }
+  return slug;
 }
 
 // ---------------- validation & normalization ----------------
-function validateAndNormalize(rawRows, sourceName) {
+// `stats` (optional) gets { raw, valid, drops: { reason: count } } for the run log.
+function validateAndNormalize(rawRows, sourceName, now = Date.now(), stats = {}) {
   const out = [];
   let considered = 0;
+  const drops = stats.drops = {};
+  const drop = reason => { drops[reason] = (drops[reason] || 0) + 1; };
   for (const r of rawRows) {
-    if (!r.ipo) continue;
+    if (!r.ipo) { drop("no name"); continue; }
     considered++;
     const { n, blank } = parseGmpNumber(r.gmpRaw);
-    if (isNaN(n) && !blank) { console.log(`  drop (bad GMP "${r.gmpRaw}"): ${r.ipo}`); continue; }
-    const dateStatus = computeStatusFromDate(r.date);
-    const hasParsableDate = r.date && !/tba|announc|n\/a/i.test(r.date);
+    if (isNaN(n) && !blank) { console.log(`  drop (bad GMP "${r.gmpRaw}"): ${r.ipo}`); drop("bad GMP"); continue; }
+    const dates = resolveIpoDates(r, now);
     // Trust our own date math first — source Status columns lag reality.
-    const status = hasParsableDate ? dateStatus : (normalizeStatus(r.status) || dateStatus);
-    out.push({
-      ipo: clean(r.ipo).replace(/\s+ipo$/i, ""),
+    const status = dates.openDate ? statusFromDates(dates, now) : (normalizeStatus(r.status) || "upcoming");
+    const ipo = clean(r.ipo).replace(/\s+ipo$/i, "");
+    out.push(estimateListing({
+      ipo,
+      slug: ipoSlug(ipo),
       gmp: blank ? null : n,
       gmpRaw: clean(r.gmpRaw),
       price: clean(r.price),
+      ...parsePriceBand(r.price),
       listing: clean(r.listing),
+      ...parseListing(r.listing),
+      lotSize: parseLotSize(r.lot),
+      issueSize: parseIssueSize(r.size),
+      listedPrice: parseListedPrice(r.listedPrice),
       date: clean(r.date),
+      ...dates,
       type: normalizeType(r.type) || "SME", // conservative default; ipowatch always provides it
       status,
-    });
+    }));
   }
+  stats.raw = considered;
+  stats.valid = out.length;
   if (considered === 0) throw new Error(`${sourceName}: 0 data rows`);
   if (out.length < MIN_ROWS) throw new Error(`${sourceName}: only ${out.length} valid rows (< ${MIN_ROWS})`);
   if (out.length / considered < MIN_VALID_RATIO)
     throw new Error(`${sourceName}: valid ratio ${(out.length / considered).toFixed(2)} < ${MIN_VALID_RATIO}`);
-  // dedupe by normalized name (keeps first occurrence = live table, not history table)
+  // dedupe by canonical slug (keeps first occurrence = live table, not history table)
   const seen = new Set(), dedup = [];
   for (const r of out) {
-    const k = slugify(r.ipo);
-    if (seen.has(k)) continue;
-    seen.add(k); dedup.push(r);
+    if (seen.has(r.slug)) { drop("duplicate"); continue; }
+    seen.add(r.slug); dedup.push(r);
   }
+  stats.valid = dedup.length;
   return dedup;
 }
 
-// ---------------- HTML generation (matches existing gmp.css / gmp-client.js) ----------------
-function gmpLabelAndClass(row) {
-  if (row.gmp === null) return { label: "—", cls: "gmp-neutral" };
-  if (row.gmp > 0) return { label: `▲ ${row.gmp}`, cls: "gmp-up" };
-  if (row.gmp < 0) return { label: `▼ ${Math.abs(row.gmp)}`, cls: "gmp-down" };
-  return { label: "0", cls: "gmp-neutral" };
+// ---------------- multi-source merge ----------------
+function median(nums) {
+  const v = [...nums].sort((a, b) => a - b), mid = v.length >> 1;
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+// results: [{ name, rows }] in SOURCES priority order. Each IPO becomes one row
+// whose non-GMP fields come from the highest-priority source that listed it.
+function mergeSourceRows(results, now = Date.now()) {
+  const clusters = []; // { rows: { [source]: row } }
+  for (const { name, rows } of results) {
+    for (const r of rows) {
+      let best = null, bestScore = 0;
+      for (const c of clusters) {
+        if (c.rows[name]) continue; // one row per source per IPO
+        const score = c.base.slug === r.slug ? 1 : nameSimilarity(c.base.ipo, r.ipo);
+        if (score > bestScore) { best = c; bestScore = score; }
+      }
+      if (best && bestScore >= NAME_MATCH_MIN) best.rows[name] = r;
+      else clusters.push({ base: r, rows: { [name]: r } });
+    }
+  }
+  return clusters.map(({ base, rows }) => {
+    const members = Object.values(rows);
+    const sources = {};
+    for (const [name, r] of Object.entries(rows)) sources[name] = r.gmp;
+    const quoted = members.map(r => r.gmp).filter(n => n !== null);
+    const merged = { ...base };
+    for (const f of ["price", "listing", "date"]) {
+      if (!merged[f]) merged[f] = (members.find(r => r[f]) || {})[f] || "";
+    }
+    Object.assign(merged, parsePriceBand(merged.price), parseListing(merged.listing));
+    for (const f of ["lotSize", "issueSize", "listedPrice"]) {
+      if (merged[f] === null) merged[f] = (members.find(r => r[f] !== null) || {})[f] ?? null;
+    }
+    // dates borrowed from another source need their ISO form and the status
+    // that follows from them, not the base row's "no dates" defaults
+    let redate = !base.date && merged.date;
+    if (redate) Object.assign(merged, resolveDateRange(merged.date, now));
+    for (const f of ["allotmentDate", "listingDate"]) {
+      if (!merged[f]) {
+        merged[f] = (members.find(r => r[f]) || {})[f] || null;
+        redate = redate || !!merged[f];
+      }
+    }
+    if (redate && merged.openDate) merged.status = statusFromDates(merged, now);
+    if (members.length > 1) {
+      merged.gmp = quoted.length ? median(quoted) : null;
+      if (merged.gmp !== null) merged.gmpRaw = `₹${merged.gmp}`;
+      // the base source's listing estimate was built on its own GMP, not the consensus
+      if (merged.gmp !== base.gmp && merged.gmp !== null && merged.priceHigh) {
+        merged.listingPrice = merged.listingGainPct = null;
+        estimateListing(merged);
+        merged.listing = `₹${merged.listingPrice} (${merged.listingGainPct.toFixed(2)}%)`;
+      }
+      merged.sources = sources;
+      const spread = quoted.length ? Math.max(...quoted) - Math.min(...quoted) : 0;
+      if (spread > MERGE_DISAGREE_ABS && spread > MERGE_DISAGREE_PCT * Math.abs(merged.gmp || 0)) {
+        merged.disputed = true;
+        console.log(`  disputed GMP (spread ₹${spread}): ${base.ipo} ${JSON.stringify(sources)}`);
+      }
+    }
+    return estimateListing(merged);
+  });
+}
+
+// ---------------- GMP history (data/history/<slug>.json) ----------------
+// One file per IPO: { slug, ipo, points: [{ t, gmp, price, listing, status }] }.
+// A point is appended only when one of HISTORY_FIELDS differs from the last
+// point, so an unchanged IPO costs nothing even when other rows moved.
+const HISTORY_FIELDS = ["gmp", "price", "listing", "status"];
+const istDay = t => new Date(Date.parse(t) + 5.5 * 3600 * 1000).toISOString().slice(0, 10);
+
+function historyChanged(last, r) {
+  return !last || HISTORY_FIELDS.some(f => last[f] !== r[f]);
+}
+
+// Points older than HISTORY_FULL_DAYS collapse to the last point of each IST
+// day; the newest HISTORY_MAX_POINTS survive. Recent intraday moves stay intact.
+function compactHistory(points, nowMs) {
+  const cutoff = nowMs - HISTORY_FULL_DAYS * 24 * 3600 * 1000;
+  const out = [];
+  for (const p of points) {
+    const prev = out[out.length - 1];
+    if (prev && Date.parse(p.t) < cutoff && istDay(prev.t) === istDay(p.t)) {
+      out[out.length - 1] = p;
+      continue;
+    }
+    out.push(p);
+  }
+  return out.slice(-HISTORY_MAX_POINTS);
+}
+
+async function readHistory(slug) {
+  try { return JSON.parse(await fs.readFile(`${HISTORY_DIR}/${slug}.json`, "utf8")); }
+  catch { return { slug, ipo: "", points: [] }; }
+}
+
+async function recordHistory(rows, payload) {
+  let appended = 0, unchanged = 0;
+  await fs.mkdir(HISTORY_DIR, { recursive: true });
+  for (const r of rows) {
+    const slug = r.slug;
+    if (!slug) continue;
+    const h = await readHistory(slug);
+    if (!historyChanged(h.points[h.points.length - 1], r)) { unchanged++; continue; }
+    h.ipo = r.ipo;
+    h.points.push({ t: payload.updatedIso, gmp: r.gmp, price: r.price, listing: r.listing, status: r.status,
+      ...(r.sources ? { sources: r.sources } : {}) });
+    h.points = compactHistory(h.points, Date.parse(payload.updatedIso));
+    await fs.writeFile(`${HISTORY_DIR}/${slug}.json`, JSON.stringify(h, null, 2), "utf8");
+    appended++;
+  }
+  console.log(`History: ${appended} IPOs got a new point, ${unchanged} unchanged.`);
+}
+
+// ---------------- subscription (second dataset, joined by slug) ----------------
+// Times-subscribed figures per category from SUBSCRIPTION_SOURCES, scraped
+// with the GMP pipeline's safeguards (tiered, validated, last good wins) but
+// never able to block a GMP update. data/subscription.json:
+//   { updatedIso, source, ipos: { "<slug>": { ipo, seen, days: [{ day, qib, nii, retail, employee, total }] } } }
+// `day` is the IST day the figures were seen; a later run that day replaces
+// them, and unchanged figures (bidding over) don't add a day.
+const SUB_FIELDS = ["qib", "nii", "retail", "employee", "total"];
+
+// "12.34x", "12.34 times", "1,204.5" -> number; "", "-", "N/A" -> null; junk -> NaN
+function parseTimes(raw) {
+  const s = clean(raw).replace(/,/g, "").replace(/\s*(x|times)$/i, "");
+  if (s === "" || /^([-–—]|n\/?a)$/i.test(s)) return null;
+  const n = Number(s);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+function validateSubscription(rawRows, sourceName, now = Date.now(), stats = {}) {
+  const out = [];
+  let considered = 0;
+  const drops = stats.drops = {};
+  const drop = reason => { drops[reason] = (drops[reason] || 0) + 1; };
+  for (const r of rawRows) {
+    if (!r.ipo) { drop("no name"); continue; }
+    considered++;
+    const total = parseTimes(r.total);
+    if (total === null || Number.isNaN(total)) { drop("bad total"); continue; }
+    const ipo = clean(r.ipo).replace(/\s+ipo$/i, "");
+    const fig = { total };
+    for (const f of SUB_FIELDS.slice(0, -1)) {
+      const n = parseTimes(r[f]);
+      fig[f] = Number.isNaN(n) ? null : n;
+    }
+    out.push({ ipo, slug: ipoSlug(ipo), ...fig });
+  }
+  stats.raw = considered;
+  stats.valid = out.length;
+  if (considered === 0) throw new Error(`${sourceName}: 0 data rows`);
+  if (out.length < SUB_MIN_ROWS) throw new Error(`${sourceName}: only ${out.length} valid rows (< ${SUB_MIN_ROWS})`);
+  if (out.length / considered < MIN_VALID_RATIO)
+    throw new Error(`${sourceName}: valid ratio ${(out.length / considered).toFixed(2)} < ${MIN_VALID_RATIO}`);
+  const seen = new Set(), dedup = [];
+  for (const r of out) {
+    if (seen.has(r.slug)) { drop("duplicate"); continue; }
+    seen.add(r.slug); dedup.push(r);
+  }
+  stats.valid = dedup.length;
+  return dedup;
+}
+
+async function readSubscription() {
+  try { return JSON.parse(await fs.readFile(SUBSCRIPTION_JSON, "utf8")); }
+  catch { return { updatedIso: null, source: null, ipos: {} }; }
+}
+
+function mergeSubscription(store, rows, source, nowIso) {
+  const day = istDay(nowIso);
+  const ipos = { ...store.ipos };
+  for (const { ipo, slug, ...fig } of rows) {
+    const days = ipos[slug] ? ipos[slug].days.filter(d => d.day !== day) : [];
+    const last = days[days.length - 1];
+    if (!last || SUB_FIELDS.some(f => last[f] !== fig[f])) days.push({ day, ...fig });
+    ipos[slug] = { ipo, seen: day, days };
+  }
+  for (const [slug, e] of Object.entries(ipos)) if (dayDiff(e.seen, day) > SUB_KEEP_DAYS) delete ipos[slug];
+  return { updatedIso: nowIso, source, ipos };
+}
+
+// Scrape + merge + persist; on any failure the stored (last-good) data is
+// returned untouched. `offline` (--from-file) skips the fetch.
+async function updateSubscription(nowMs, log = [], { write = true, offline = false } = {}) {
+  const store = await readSubscription();
+  if (offline) return store;
+  try {
+    const { rows, sourceUsed } = await scrapeTiered(nowMs, log, SUBSCRIPTION_SOURCES, validateSubscription);
+    if (!rows) {
+      console.log("Subscription: every source failed — keeping last-good data.");
+      return store;
+    }
+    const next = mergeSubscription(store, rows, sourceUsed, new Date(nowMs).toISOString());
+    if (JSON.stringify(next.ipos) === JSON.stringify(store.ipos)) return store;
+    if (write) await fs.writeFile(SUBSCRIPTION_JSON, JSON.stringify(next, null, 2), "utf8");
+    console.log(`Subscription: ${rows.length} IPOs from ${sourceUsed}${write ? `, wrote ${SUBSCRIPTION_JSON}` : ""}.`);
+    return next;
+  } catch (e) {
+    console.warn(`  WARN: subscription update failed (${e.message}) — keeping last-good data.`);
+    return store;
+  }
+}
+
+// rows gain `subscription`: that IPO's day-wise figures, oldest first.
+function attachSubscription(rows, store) {
+  for (const r of rows) {
+    const e = store.ipos[r.slug];
+    if (e && e.days.length) r.subscription = e.days;
+  }
+  return rows;
+}
+
+// ---------------- listing outcomes (estimate vs actual) ----------------
+// Once an IPO's actual listing price is known — a source column mapped to
+// `listedPrice`, or data/listings.json for IPOs no adapter covers (it wins
+// over the adapter) — the last GMP-based estimate is frozen next to it in
+// data/outcomes.json. The estimate uses the last GMP quoted before the IPO
+// listed, so a post-listing GMP can't grade itself. Rows on the board carry
+// their outcome as `outcome`; accuracy.html is built from the whole file.
+
+async function readJsonOr(file, fallback) {
+  try { return JSON.parse(await fs.readFile(file, "utf8")); } catch { return fallback; }
+}
+
+// Last history point quoted before the IPO listed; null when there is none.
+function preListingPoint(points = []) {
+  for (let i = points.length - 1; i >= 0; i--) {
+    const p = points[i];
+    if (p.status !== "listed" && typeof p.gmp === "number") return p;
+  }
+  return null;
+}
+
+// errorPct > 0: the estimate was above the actual price. Per-source estimates
+// come from the same point's `sources` (single-source builds: the one source).
+function listingOutcome(row, points, actual, via, sourceUsed) {
+  const issuePrice = row.priceHigh;
+  const point = preListingPoint(points) || row;
+  const gmp = typeof point.gmp === "number" ? point.gmp : null;
+  if (!issuePrice || gmp === null || !actual) return null;
+  const est = g => round2(issuePrice + g);
+  const quotes = point.sources || (sourceUsed && !sourceUsed.includes("+") ? { [sourceUsed]: gmp } : {});
+  const bySource = {};
+  for (const [name, g] of Object.entries(quotes)) if (typeof g === "number") bySource[name] = est(g);
+  const estimate = est(gmp);
+  return {
+    ipo: row.ipo, type: row.type || null, listingDate: row.listingDate || null,
+    issuePrice, gmp, estimate, actual, errorPct: round2((estimate - actual) / actual * 100),
+    bySource, via,
+  };
+}
+
+// -> { outcomes, changed }. Rows are matched first; a manual price for an IPO
+// already off the board is graded from its history file alone.
+async function recordOutcomes(rows, outcomes, manual, histories, sourceUsed) {
+  const next = { ...outcomes };
+  let changed = 0;
+  const grade = (row, points, actual, via) => {
+    const prev = next[row.slug];
+    if (prev && prev.actual === actual && prev.via === via) return;
+    const o = listingOutcome(row, points, actual, via, sourceUsed);
+    if (!o) return;
+    next[row.slug] = o;
+    changed++;
+    console.log(`  outcome: ${row.ipo} estimated ₹${o.estimate}, listed at ₹${actual} (${o.errorPct > 0 ? "+" : ""}${o.errorPct}%)`);
+  };
+  for (const r of rows) {
+    const m = manual[r.slug];
+    const actual = m ? Number(m.price) : r.listedPrice;
+    if (actual) grade({ ...r, listingDate: (m && m.date) || r.listingDate }, histories[r.slug] || [], actual, m ? "manual" : "source");
+  }
+  const onBoard = new Set(rows.map(r => r.slug));
+  for (const [slug, m] of Object.entries(manual)) {
+    if (onBoard.has(slug)) continue;
+    const h = await readHistory(slug);
+    const last = h.points[h.points.length - 1];
+    if (!last) { console.warn(`  WARN: ${LISTINGS_JSON}: no history for "${slug}", can't grade it`); continue; }
+    const row = { ipo: h.ipo || slug, slug, type: m.type || (next[slug] || {}).type || null, listingDate: m.date || null,
+      gmp: last.gmp, ...parsePriceBand(last.price) };
+    grade(row, h.points, Number(m.price), "manual");
+  }
+  return { outcomes: next, changed };
+}
+
+function attachOutcomes(rows, outcomes) {
+  for (const r of rows) {
+    const o = outcomes[r.slug];
+    if (o) r.outcome = { estimate: o.estimate, actual: o.actual, gmp: o.gmp, errorPct: o.errorPct };
+  }
+  return rows;
+}
+
+// "Listed at ₹150 vs ₹141 estimated at ₹5 GMP (6% under)"
+function outcomeLine(o) {
+  const off = o.errorPct === 0 ? "exact" : `${Math.abs(o.errorPct)}% ${o.errorPct < 0 ? "under" : "over"}`;
+  return `Listed at ₹${o.actual} vs ₹${o.estimate} estimated at ₹${o.gmp} GMP (${off})`;
+}
+
+// errors: signed % list -> { n, hits: { 5: k, 10: k }, mae, bias }
+function accuracyStats(errors) {
+  const n = errors.length;
+  const hits = {};
+  for (const band of ACCURACY_BANDS) hits[band] = errors.filter(e => Math.abs(e) <= band).length;
+  const mean = xs => n ? round2(xs.reduce((a, b) => a + b, 0) / n) : null;
+  return { n, hits, mae: mean(errors.map(Math.abs)), bias: mean(errors) };
+}
+
+function accuracyBody(outcomes) {
+  const list = Object.entries(outcomes).map(([slug, o]) => ({ slug, ...o }))
+    .sort((a, b) => (b.listingDate || "").localeCompare(a.listingDate || "") || a.ipo.localeCompare(b.ipo));
+  const groups = [["All IPOs", list], ["Mainboard", list.filter(o => o.type === "Mainboard")], ["SME", list.filter(o => o.type === "SME")]];
+  const sourceNames = [...new Set(list.flatMap(o => Object.keys(o.bySource || {})))].sort();
+  for (const name of sourceNames) {
+    groups.push([`Source: ${name}`, list.filter(o => o.bySource[name] !== undefined)
+      .map(o => ({ ...o, errorPct: round2((o.bySource[name] - o.actual) / o.actual * 100) }))]);
+  }
+  const pct = (k, n) => n ? `${Math.round(100 * k / n)}% (${k})` : "—";
+  const signed = v => v === null ? "—" : `${v > 0 ? "+" : ""}${v}%`;
+  return render("accuracy", {
+    bands: ACCURACY_BANDS,
+    stats: groups.map(([label, os]) => {
+      const st = accuracyStats(os.map(o => o.errorPct));
+      return { label, n: st.n, hits: ACCURACY_BANDS.map(band => pct(st.hits[band], st.n)),
+        mae: st.mae === null ? "—" : `${st.mae}%`, bias: signed(st.bias) };
+    }),
+    ipos: list.map(o => ({
+      slug: o.slug, ipo: o.ipo, listed: o.listingDate ? fmtDay(o.listingDate) : "—",
+      issuePrice: o.issuePrice, gmp: o.gmp, estimate: o.estimate, actual: o.actual,
+      close: Math.abs(o.errorPct) <= ACCURACY_BANDS[0], error: signed(o.errorPct),
+    })),
+  });
+}
+
+async function writeAccuracyPage(outcomes, payload) {
+  const page = siteShell({
+    title: "IPO GMP Accuracy: Estimated vs Actual Listing | LiveGMP",
+    desc: "How well the grey market premium predicted listing prices: hit rate within ±5% and ±10% and average error, for Mainboard and SME IPOs and by GMP source.",
+    canonical: `${SITE}/${ACCURACY_HTML}`,
+    jsonld: JSON.stringify({ "@context": "https://schema.org", "@type": "WebPage",
+      "name": "IPO GMP Accuracy Scoreboard", "url": `${SITE}/${ACCURACY_HTML}`, "dateModified": payload.updatedIso }),
+    body: accuracyBody(outcomes),
+  });
+  const wrote = await writeIfChanged(ACCURACY_HTML, page, { volatile: volatileOf(payload), nowIso: payload.updatedIso });
+  console.log(`${ACCURACY_HTML} ${wrote ? "regenerated" : "unchanged"} (${Object.keys(outcomes).length} graded IPOs).`);
+}
+
+// ---------------- editorial overrides (data/overrides.json) ----------------
+// Hand-written fixes keyed by slug, applied to the validated rows before the
+// guard and everything after it, so a correction survives every rebuild
+// instead of being overwritten by the next scrape.
+
+// -> { slug: override } with "$schema" and every entry that fails the schema
+// left out (each failure is warned about; the rest still apply). A missing
+// file is no overrides; unparseable JSON fails the build like aliases.json.
+async function loadOverrides(file = OVERRIDES_JSON, schemaFile = OVERRIDES_SCHEMA) {
+  let doc;
+  try { doc = JSON.parse(await fs.readFile(file, "utf8")); }
+  catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw new Error(`${file}: ${e.message}`);
+  }
+  const errors = schemaErrors(doc, JSON.parse(await fs.readFile(schemaFile, "utf8")));
+  if (typeOf(doc) !== "object") throw new Error(`${file}: ${errors[0].msg}`);
+  const bad = new Set();
+  for (const e of errors) {
+    bad.add(e.at.split(".")[0]);
+    console.warn(`  WARN: ${file}: ${e.at}: ${e.msg} (override skipped)`);
+  }
+  const overrides = {};
+  for (const [slug, o] of Object.entries(doc)) if (slug !== "$schema" && !bad.has(slug)) overrides[slug] = o;
+  return overrides;
+}
+
+const OVERRIDE_DATES = ["openDate", "closeDate", "allotmentDate", "listingDate"];
+
+// Mutates the overridden rows; returns the rows left after `hide`. A slug
+// that is neither on the board nor known from history/aliases/stubs is
+// almost always a typo, so it is warned about rather than ignored.
+function applyOverrides(rows, overrides, now = Date.now(), stats = {}, known = nameRegistry.known) {
+  const onBoard = new Set(rows.map(r => r.slug));
+  stats.unknown = Object.keys(overrides).filter(slug => !onBoard.has(slug) && !known.includes(slug));
+  for (const slug of stats.unknown) console.warn(`  WARN: ${OVERRIDES_JSON}: "${slug}" matches no known IPO — check the slug`);
+  stats.applied = [];
+  stats.hidden = [];
+  const out = [];
+  for (const r of rows) {
+    const o = overrides[r.slug];
+    if (!o) { out.push(r); continue; }
+    stats.applied.push(r.slug);
+    if (o.hide) { stats.hidden.push(r.slug); continue; }
+    for (const k of ["ipo", "type", "lotSize", "issueSize", "note", "registrar"]) if (o[k] !== undefined) r[k] = o[k];
+    if (o.pin) r.pinned = true;
+    if (o.price) {
+      // the source's listing estimate was worked out from the wrong band
+      Object.assign(r, { price: o.price, ...parsePriceBand(o.price), listing: "", listingPrice: null, listingGainPct: null });
+      estimateListing(r);
+    }
+    if (o.date) Object.assign(r, { date: o.date }, resolveDateRange(o.date, now));
+    for (const k of OVERRIDE_DATES) if (o[k]) r[k] = o[k];
+    if ((o.date || OVERRIDE_DATES.some(k => o[k])) && r.openDate) r.status = statusFromDates(r, now);
+    out.push(r);
+  }
+  if (stats.applied.length || stats.unknown.length) {
+    console.log(`Overrides: ${stats.applied.length} applied (${stats.hidden.length} hidden), ${stats.unknown.length} unknown slug(s).`);
+  }
+  return out;
 }
 
+// ---------------- anomaly guard (plausibility vs gmp.json + history) ----------------
+// Runs after validation, before anything is written. Row-level findings hold
+// the row's GMP fields back at their last committed values (a new IPO with no
+// committed values is withheld); the same held value seen ANOMALY_CONFIRM_RUNS
+// runs in a row is accepted as real. Run-level findings abort the build.
+// Every run's findings go to data/anomalies.json.
+const HELD_FIELDS = ["gmp", "gmpRaw", "listing", "listingPrice", "listingGainPct", "sources", "disputed"];
+
+function rowAnomaly(r, prev, points = []) {
+  if (r.gmp === null) return null;
+  if (r.priceHigh && Math.abs(r.gmp) > ANOMALY_GMP_PRICE_MAX * r.priceHigh) {
+    return { check: "gmp-vs-price",
+      reason: `GMP ₹${r.gmp} is over ${ANOMALY_GMP_PRICE_MAX * 100}% of the ₹${r.priceHigh} price` };
+  }
+  const recent = points.slice(-ANOMALY_HISTORY_POINTS).map(p => p.gmp);
+  if (prev) recent.push(prev.gmp);
+  const seen = recent.filter(v => typeof v === "number");
+  if (!seen.length) return null;
+  const high = Math.max(...seen.map(Math.abs));
+  const last = seen[seen.length - 1];
+  if (high > 0 && Math.abs(r.gmp) > ANOMALY_JUMP_FACTOR * high && Math.abs(r.gmp - last) > ANOMALY_JUMP_MIN_ABS) {
+    return { check: "jump",
+      reason: `GMP ₹${last} -> ₹${r.gmp}, over ${ANOMALY_JUMP_FACTOR}x the recent high of ₹${high}` };
+  }
+  return null;
+}
+
+// -> { rows, report }; rows is null when the whole run must be aborted.
+function guardRows(rows, oldRows, histories = {}, prevReport = null, nowMs = Date.now()) {
+  const nowIso = new Date(nowMs).toISOString();
+  const before = new Map((oldRows || []).map(o => [o.slug || ipoSlug(o.ipo), o]));
+  const prevHeld = new Map(((prevReport && prevReport.held) || []).map(h => [h.slug, h]));
+  const report = { checkedIso: nowIso, action: "published", abort: null, held: [], confirmed: [], warnings: [] };
+
+  // run level: mass zeroing
+  const quoted = rows.filter(r => { const o = before.get(r.slug); return o && typeof o.gmp === "number" && o.gmp !== 0; });
+  const zeroed = quoted.filter(r => !r.gmp);
+  if (zeroed.length >= ANOMALY_ZERO_MIN && zeroed.length / quoted.length >= ANOMALY_ZERO_RATIO) {
+    report.abort = { check: "mass-zero", slugs: zeroed.map(r => r.slug),
+      reason: `${zeroed.length} of ${quoted.length} quoted IPOs dropped to 0/blank GMP in one run` };
+  }
+  // run level: active IPOs vanishing before their close date
+  const today = istDay(nowIso);
+  const slugs = new Set(rows.map(r => r.slug));
+  const wasActive = [...before].filter(([, o]) => o.status === "active");
+  const vanished = wasActive.filter(([slug, o]) => !slugs.has(slug) && (!o.closeDate || o.closeDate >= today));
+  if (!report.abort && vanished.length >= ANOMALY_VANISHED_MIN && vanished.length / wasActive.length >= ANOMALY_VANISHED_RATIO) {
+    report.abort = { check: "vanished-active", slugs: vanished.map(([slug]) => slug),
+      reason: `${vanished.length} of ${wasActive.length} active IPOs missing before their close date` };
+  }
+  if (report.abort) {
+    report.action = "aborted";
+    return { rows: null, report };
+  }
+  for (const [slug, o] of vanished) {
+    report.warnings.push({ slug, ipo: o.ipo, check: "vanished-active", reason: "active IPO missing before its close date" });
+  }
+
+  // row level
+  const out = [];
+  for (const r of rows) {
+    const o = before.get(r.slug);
+    const found = rowAnomaly(r, o, histories[r.slug]);
+    if (!found) { out.push(r); continue; }
+    const last = prevHeld.get(r.slug);
+    const runs = last && last.gmp === r.gmp ? last.runs + 1 : 1;
+    const entry = { slug: r.slug, ipo: r.ipo, ...found, gmp: r.gmp, prevGmp: o ? o.gmp : null,
+      firstSeenIso: runs > 1 ? last.firstSeenIso : nowIso, runs };
+    if (runs >= ANOMALY_CONFIRM_RUNS) {
+      report.confirmed.push(entry);
+      out.push(r);
+      continue;
+    }
+    report.held.push({ ...entry, kept: o ? "previous" : "withheld" });
+    if (!o) continue;
+    const held = { ...r };
+    for (const f of HELD_FIELDS) {
+      if (o[f] === undefined) delete held[f]; else held[f] = o[f];
+    }
+    out.push(held);
+  }
+  return { rows: out, report };
+}
+
+async function readAnomalyReport() {
+  try { return JSON.parse(await fs.readFile(ANOMALY_JSON, "utf8")); } catch { return null; }
+}
+
+// Only written when there is something to say, or to clear an older finding.
+async function writeAnomalyReport(report, prevReport) {
+  const noisy = rep => rep && (rep.abort || rep.held.length || rep.confirmed.length || rep.warnings.length);
+  for (const h of report.held) console.warn(`  WARN: held back ${h.ipo}: ${h.reason} (run ${h.runs}/${ANOMALY_CONFIRM_RUNS})`);
+  for (const c of report.confirmed) console.log(`  accepted ${c.ipo} after ${c.runs} runs: ${c.reason}`);
+  if (!noisy(report) && !noisy(prevReport)) return;
+  await fs.mkdir(ANOMALY_JSON.slice(0, ANOMALY_JSON.lastIndexOf("/")), { recursive: true });
+  await fs.writeFile(ANOMALY_JSON, JSON.stringify(report, null, 2), "utf8");
+}
+
+// ---------------- HTML generation (matches existing gmp.css / gmp-client.js) ----------------
+// Labels and section order come from static/gmp-shared.js. gmp-client.js
+// loads the same file and re-renders cards from gmp.json by cloning
+// cardPrototype() out of the page and filling its [data-field] elements.
 function cardHtml(r) {
-  const g = gmpLabelAndClass(r);
-  const typeAttr = r.type.toLowerCase() === "sme" ? "sme" : "mainboard";
-  const slug = slugify(r.ipo);
-  const price = r.price ? (r.price.startsWith("₹") ? r.price : "₹" + r.price) : "—";
-  return `
-  <div class="ipo-card" data-status="${r.status}" data-type="${typeAttr}">
-    <div class="card-grid">
-      <div class="col col-name">
-        <div class="ipo-title">${esc(r.ipo)}</div>
-        <div class="gmp-row">
-          <span class="gmp-label meta-label">GMP</span>
-          <span class="meta-value gmp-value ${g.cls}">${esc(g.label)}</span>
-        </div>
-      </div>
-      <div class="col col-status">
-        <span class="badge ${r.status}">${r.status[0].toUpperCase() + r.status.slice(1)}</span>
-      </div>
-      <div class="col col-meta">
-        <div class="meta-item-inline">
-          <span class="meta-label">Date</span>
-          <span class="meta-value">${esc(r.date) || "—"}</span>
-        </div>
-      </div>
-      <div class="col col-link">
-        <a class="ipo-link" href="/ipo/${slug}" rel="noopener" title="Open ${esc(r.ipo)} page">View</a>
-      </div>
-    </div>
-    <div class="card-row-details" aria-hidden="true">
-      <div><strong>IPO Price:</strong> ${esc(price)}</div>
-      <div style="margin-top:6px;"><strong>Est. Listing:</strong> ${esc(r.listing) || "—"}</div>
-      <div style="margin-top:6px;"><strong>Type:</strong> ${esc(r.type) || "—"}</div>
-    </div>
-  </div>`;
+  return render("card", {
+    r,
+    g: gmpLabelAndClass(r),
+    typeAttr: r.type.toLowerCase() === "sme" ? "sme" : "mainboard",
+    statusLabel: r.status[0].toUpperCase() + r.status.slice(1),
+    date: r.date || "—",
+    price: r.price ? (r.price.startsWith("₹") ? r.price : "₹" + r.price) : "—",
+    listing: listingLabel(r) || "—",
+    type: r.type || "—",
+    lotSize: r.lotSize,
+    sourcesLine: sourcesLine(r),
+    subscriptionLine: r.subscription ? subscriptionLine(r) : "",
+    note: r.note,
+  });
+}
+
+// templates/card.html with every optional part switched on and no values,
+// emitted as <template id="gmp-card-template"> for the client to clone.
+function cardPrototype() {
+  return render("card", {
+    r: { status: "", slug: "", ipo: "", gmp: null, pinned: true, disputed: true,
+      lotSize: true, sources: true, subscription: true, note: true },
+    g: { cls: "", label: "" },
+  }).trim();
 }
 
+// The CSV fields of every rendered card, as <script id="gmp-rows"> JSON,
+// so "CSV of visible rows" exports what the page shows without a fetch.
+const csvRowsJson = rows => JSON.stringify(rows.map(r => Object.fromEntries(CSV_COLUMNS.map(([, k]) => [k, r[k]]))))
+  .replace(/</g, "\\u003c");
+
 function buildWrapper(rows, meta) {
-  const groups = { active: [], upcoming: [], closed: [] };
-  for (const r of rows) (groups[r.status] || groups.upcoming).push(r);
-  const byGmp = (a, b) => {
-    if (a.gmp === null && b.gmp === null) return a.ipo.localeCompare(b.ipo);
-    if (a.gmp === null) return 1;
-    if (b.gmp === null) return -1;
-    return b.gmp - a.gmp;
-  };
-  for (const k of Object.keys(groups)) groups[k] = groups[k].sort(byGmp).slice(0, MAX_PER_GROUP);
-
-  const section = (title, list) =>
-    list.length ? `<h3 class="section-heading">${title}</h3>\n${list.map(cardHtml).join("\n")}` : "";
-
-  return `
-  <div id="gmp-wrapper">
-<div id="gmp-controls" class="sticky-filters">
-  <button class="filter-btn active" data-filter="all">All</button>
-  <button class="filter-btn" data-filter="active">Active</button>
-  <button class="filter-btn" data-filter="upcoming">Upcoming</button>
-  <button class="filter-btn" data-filter="closed">Closed</button>
-  <span class="filter-sep" aria-hidden="true"></span>
-  <button class="filter-btn type-btn active" data-type-filter="all">All Types</button>
-  <button class="filter-btn type-btn" data-type-filter="mainboard">Mainboard</button>
-  <button class="filter-btn type-btn" data-type-filter="sme">SME</button>
-</div>
-
-<div class="gmp-meta-line">
-  <div class="updated">Updated automatically every hour</div>
-</div>
-
-<div id="gmp-cards">
-${section("Active IPOs", groups.active)}
-${section("Upcoming IPOs", groups.upcoming)}
-${section("Closed / Listed", groups.closed)}
-</div>
-<div id="load-more-wrap" style="text-align:center;margin-top:12px;"><button id="load-more-btn" class="load-more-btn">Load more</button></div>
-    <div style="display:none" id="gmp-meta" data-updated="${meta.updatedIso}" data-source="${esc(meta.source)}"></div>
-  </div>`;
+  const sections = groupRows(rows);
+  return render("wrapper", {
+    csv: GMP_CSV,
+    cardTemplate: cardPrototype(),
+    rowsJson: csvRowsJson(sections.flatMap(g => g.rows)),
+    updatedIso: meta.updatedIso,
+    source: meta.source,
+    sections: sections.map(g => ({ title: g.title, cards: g.rows.map(cardHtml).join("\n") })),
+  });
 }
 
 // ---------------- per-IPO stub pages, analysis index, sitemap ----------------
 const SITE = "https://livegmp.in";
 const STUB_MARK = "<!-- AUTO_STUB -->"; // pages carrying this are pipeline-owned
+const ARCHIVED_MARK = "<!-- ARCHIVED_STUB -->"; // ... and this one, frozen by archiveStubs
+
+// ---- content-hashed writes ----
+// data/manifest.json: { "<file>": { hash, lastmod } }. A page is rewritten
+// only when its hash moves; the run's own timestamps ("volatile" strings such
+// as payload.updatedIso) are blanked before hashing so a new "Updated …" line
+// alone never counts as a change. lastmod is when the hash last moved and is
+// what the sitemap publishes.
+const manifest = { files: {}, dirty: false };
+
+async function loadManifest() {
+  try { manifest.files = JSON.parse(await fs.readFile(MANIFEST_JSON, "utf8")); } catch { manifest.files = {}; }
+  manifest.dirty = false;
+}
 
-function siteShell({ title, desc, canonical, body, jsonld }) {
-  return `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <title>${esc(title)}</title>
-  <meta name="description" content="${esc(desc)}">
-  <link rel="canonical" href="${canonical}">
-  <meta property="og:title" content="${esc(title)}">
-  <meta property="og:description" content="${esc(desc)}">
-  <meta property="og:url" content="${canonical}">
-  <meta property="og:type" content="article">
-  <link rel="stylesheet" href="/static/gmp.css">
-  <script type="application/ld+json">${jsonld}</script>
-</head>
-<body>
-${STUB_MARK}
-<header class="site-header">
-  <a class="brand" href="/">LiveGMP<span class="brand-dot">.in</span></a>
-  <nav class="site-nav">
-    <a href="/">Live GMP</a>
-    <a href="/ipo/">IPO Analysis</a>
-    <a href="/what-is-gmp.html">What is GMP?</a>
-    <a href="/ipo-allotment-status.html">Allotment</a>
-  </nav>
-</header>
-<main class="container" style="max-width:900px;margin:20px auto;padding:16px;">
-${body}
-</main>
-<footer class="site-footer">
-  <p>GMP figures are unofficial, informational estimates from grey-market sources. We do not deal in grey market. Investments are subject to market risk — consult a SEBI-registered advisor.</p>
-  <p>&copy; LiveGMP.in · <a href="/">Live IPO GMP</a> · <a href="/ipo/">All IPO Pages</a></p>
-</footer>
-</body>
-</html>`;
+async function saveManifest() {
+  if (!manifest.dirty) return;
+  const sorted = Object.fromEntries(Object.keys(manifest.files).sort().map(k => [k, manifest.files[k]]));
+  await fs.writeFile(MANIFEST_JSON, JSON.stringify(sorted, null, 2), "utf8");
+  manifest.dirty = false;
+}
+
+function contentHash(content, volatile = []) {
+  let s = content;
+  for (const v of volatile) if (v) s = s.split(v).join("");
+  return crypto.createHash("sha1").update(s).digest("hex").slice(0, 16);
+}
+
+// Record `content` as `file`'s current state; true when it differs from the manifest.
+function touchManifest(file, hash, nowIso) {
+  const prev = manifest.files[file];
+  if (prev && prev.hash === hash) return false;
+  manifest.files[file] = { hash, lastmod: nowIso };
+  manifest.dirty = true;
+  return true;
+}
+
+// -> true when written. A file missing on disk is always written.
+async function writeIfChanged(file, content, { volatile = [], nowIso = new Date().toISOString() } = {}) {
+  const changed = touchManifest(file, contentHash(content, volatile), nowIso);
+  let exists = true;
+  try { await fs.access(file); } catch { exists = false; }
+  if (!changed && exists) return false;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, content, "utf8");
+  return true;
+}
+
+// lastmod of a page writeIfChanged doesn't own (hand-written blogs, static
+// pages, index.html): hashed as found, so an edit bumps it on the next run.
+// Pipeline pages (STUB_MARK) keep their manifest entry, since the copy on disk
+// carries the timestamps of whichever run last wrote it. null when the file
+// isn't in this tree.
+async function pageLastmod(file, { volatile = [], nowIso }) {
+  let content;
+  try { content = await fs.readFile(file, "utf8"); } catch { return null; }
+  if (!(content.includes(STUB_MARK) && manifest.files[file])) touchManifest(file, contentHash(content, volatile), nowIso);
+  return manifest.files[file].lastmod;
+}
+
+function siteShell({ title, desc, canonical, body, jsonld, noindex = false }) {
+  return render("layout", { title, desc, canonical, body, jsonld, noindex, mark: STUB_MARK });
+}
+
+// The hand-written pages carry the same header/footer partials between
+// PARTIAL markers (index.html's are refreshed with the wrapper). Written only
+// when a partial changed; the sitemap's lastmod picks that up as an edit.
+async function refreshStaticPages() {
+  for (const file of STATIC_PAGES) {
+    let html;
+    try { html = await fs.readFile(file, "utf8"); } catch { continue; }
+    const next = renderPartials(html);
+    if (next === html) continue;
+    await fs.writeFile(file, next, "utf8");
+    console.log(`${file}: shared partials refreshed.`);
+  }
 }
 
 function stubJsonLd(r, url, payload) {
@@ -416,64 +1220,97 @@ function stubJsonLd(r, url, payload) {
   return JSON.stringify([article, faq]);
 }
 
-function stubBody(r, payload) {
-  const g = gmpLabelAndClass(r);
+// ---- GMP trend (inline SVG sparkline + recent-values table; no JS needed) ----
+const TREND_ROWS = 10;   // recent history points listed under the chart
+
+const fmtIst = t => new Date(t).toLocaleString("en-GB", {
+  timeZone: "Asia/Kolkata", day: "2-digit", month: "short", hour: "2-digit", minute: "2-digit",
+});
+
+function sparklineSvg(points, w = 320, h = 64) {
+  const pts = points.filter(p => typeof p.gmp === "number");
+  if (pts.length < 2) return "";
+  const pad = 4;
+  const ts = pts.map(p => Date.parse(p.t)), vs = pts.map(p => p.gmp);
+  const t0 = Math.min(...ts), tSpan = (Math.max(...ts) - t0) || 1;
+  const v0 = Math.min(...vs), vSpan = (Math.max(...vs) - v0) || 1;
+  const xy = pts.map((p, i) => [
+    (pad + (ts[i] - t0) / tSpan * (w - 2 * pad)).toFixed(1),
+    (h - pad - (vs[i] - v0) / vSpan * (h - 2 * pad)).toFixed(1),
+  ]);
+  const first = vs[0], last = vs[vs.length - 1];
+  const [x, y] = xy[xy.length - 1];
+  return render("sparkline", {
+    cls: last > first ? "gmp-up" : last < first ? "gmp-down" : "gmp-neutral",
+    w, h,
+    label: `GMP trend: ₹${first} to ₹${last} over ${pts.length} updates`,
+    points: xy.map(p => p.join(",")).join(" "),
+    last: { x, y },
+  });
+}
+
+// "2026-08-25" -> "Tue, 25 Aug 2026"
+const fmtDay = iso => new Date(Date.parse(iso)).toLocaleDateString("en-GB", {
+  timeZone: "UTC", weekday: "short", day: "numeric", month: "short", year: "numeric",
+});
+
+function trendSection(r, history) {
+  const points = (history && history.points) || [];
+  if (!points.length) return "";
+  const recent = points.slice(-TREND_ROWS).reverse();
+  return render("trend", {
+    ipo: r.ipo,
+    sparkline: sparklineSvg(points),
+    rows: recent.map((p, i) => {
+      const prev = recent[i + 1];
+      const d = prev && typeof p.gmp === "number" && typeof prev.gmp === "number" ? p.gmp - prev.gmp : 0;
+      return {
+        when: fmtIst(p.t), quoted: p.gmp !== null, gmp: p.gmp,
+        delta: d ? { cls: d > 0 ? "gmp-up" : "gmp-down", arrow: d > 0 ? "▲" : "▼", size: Math.abs(d) } : null,
+      };
+    }),
+  });
+}
+
+// Day-wise subscription table; only worth a section once there's more than one day.
+function subscriptionSection(r) {
+  const days = r.subscription || [];
+  if (days.length < 2) return "";
+  return render("subscription", {
+    ipo: r.ipo,
+    days: days.slice().reverse().map(d => ({ day: shortDay(d.day), times: ["qib", "nii", "retail", "total"].map(k => timesLabel(d[k])) })),
+  });
+}
+
+function stubBody(r, payload, history) {
   const price = r.price && r.price !== "₹-" ? (r.price.startsWith("₹") ? r.price : "₹" + r.price) : "To be announced";
-  return `
-<nav class="breadcrumbs"><a href="/">Live GMP</a> › <a href="/ipo/">IPO Analysis</a> › ${esc(r.ipo)}</nav>
-<h1>${esc(r.ipo)} IPO — GMP Today, Price Band &amp; Dates</h1>
-<p class="stub-updated">Last updated: <strong>${esc(payload.updatedLocal)}</strong></p>
-
-<div class="ipo-card expanded" data-status="${r.status}" data-type="${r.type.toLowerCase() === "sme" ? "sme" : "mainboard"}">
-  <div class="card-grid">
-    <div class="col col-name">
-      <div class="ipo-title">${esc(r.ipo)}</div>
-      <div class="gmp-row"><span class="gmp-label meta-label">GMP</span>
-      <span class="meta-value gmp-value ${g.cls}">${esc(g.label)}</span></div>
-    </div>
-    <div class="col col-status"><span class="badge ${r.status}">${r.status[0].toUpperCase() + r.status.slice(1)}</span></div>
-    <div class="col col-meta"><div class="meta-item-inline"><span class="meta-label">Date</span><span class="meta-value">${esc(r.date) || "—"}</span></div></div>
-    <div class="col col-link"><a class="ipo-link" href="/">All GMPs</a></div>
-  </div>
-  <div class="card-row-details" aria-hidden="false" style="display:block">
-    <div><strong>IPO Price:</strong> ${esc(price)}</div>
-    <div style="margin-top:6px;"><strong>Est. Listing:</strong> ${esc(r.listing) || "—"}</div>
-    <div style="margin-top:6px;"><strong>Type:</strong> ${esc(r.type)}</div>
-  </div>
-</div>
-
-<h2>${esc(r.ipo)} IPO GMP Today</h2>
-<p>${r.gmp === null
-  ? `The grey market premium for the ${esc(r.ipo)} IPO is not yet being quoted. GMP activity usually starts close to the IPO opening date — check back for live updates.`
-  : `The current grey market premium (GMP) of the ${esc(r.ipo)} IPO is <strong>₹${r.gmp}</strong>. GMP reflects unofficial demand for the shares before listing and changes with market sentiment and subscription numbers.`}</p>
-
-<h2>Key Details</h2>
-<table class="stub-table">
-  <tr><th>IPO Name</th><td>${esc(r.ipo)}</td></tr>
-  <tr><th>Type</th><td>${esc(r.type)}</td></tr>
-  <tr><th>IPO Dates</th><td>${esc(r.date) || "To be announced"}</td></tr>
-  <tr><th>Price Band</th><td>${esc(price)}</td></tr>
-  <tr><th>GMP Today</th><td>${r.gmp === null ? "Not quoted yet" : "₹" + r.gmp}</td></tr>
-  <tr><th>Estimated Listing</th><td>${esc(r.listing) || "—"}</td></tr>
-  <tr><th>Status</th><td>${r.status[0].toUpperCase() + r.status.slice(1)}</td></tr>
-</table>
-
-<div class="coming-soon-note">📝 <strong>Full analysis coming soon</strong> — detailed review of financials, strengths, risks and our take on the ${esc(r.ipo)} IPO will be published here. Meanwhile, track the live GMP on our <a href="/">homepage</a>.</div>
-
-<h2>FAQ</h2>
-<h3>What is the GMP of ${esc(r.ipo)} IPO today?</h3>
-<p>${r.gmp === null ? "GMP is not yet quoted in the grey market." : `₹${r.gmp}, as of ${esc(payload.updatedLocal)}.`}</p>
-<h3>Is ${esc(r.ipo)} a Mainboard or SME IPO?</h3>
-<p>${esc(r.ipo)} is a ${esc(r.type)} IPO.</p>
-<h3>Does GMP guarantee listing gains?</h3>
-<p>No. GMP is an unofficial, unregulated indicator and can change quickly. Always evaluate fundamentals before investing.</p>
-`;
+  return render("stub", {
+    r,
+    g: gmpLabelAndClass(r),
+    typeAttr: r.type.toLowerCase() === "sme" ? "sme" : "mainboard",
+    statusLabel: r.status[0].toUpperCase() + r.status.slice(1),
+    updatedLocal: payload.updatedLocal,
+    date: r.date || "—",
+    price,
+    listing: listingLabel(r) || "—",
+    quoted: r.gmp !== null,
+    sourcesLine: sourcesLine(r),
+    subscriptionLine: r.subscription ? subscriptionLine(r) : "",
+    outcomeLine: r.outcome ? outcomeLine(r.outcome) : "",
+    days: Object.fromEntries(["open", "close", "allotment", "listing"]
+      .map(k => [k, r[`${k}Date`] ? fmtDay(r[`${k}Date`]) : ""])),
+    icsHref: `/ipo/${r.slug}/${STUB_ICS}`,
+    trend: trendSection(r, history),
+    subscriptionTable: subscriptionSection(r),
+  });
 }
 
+const volatileOf = payload => [payload.updatedIso, payload.updatedLocal, icsStamp(payload.updatedIso)];
+
 async function generateStubs(rows, payload) {
-  let created = 0, refreshed = 0, skipped = 0;
+  let created = 0, refreshed = 0, unchanged = 0, skipped = 0;
   for (const r of rows) {
-    const slug = slugify(r.ipo);
+    const slug = r.slug;
     if (!slug) continue;
     const dir = `ipo/${slug}`;
     const file = `${dir}/index.html`;
@@ -481,18 +1318,23 @@ async function generateStubs(rows, payload) {
     try { existing = await fs.readFile(file, "utf8"); } catch {}
     if (existing && !existing.includes(STUB_MARK)) { skipped++; continue; } // hand-written blog: never touch
     const url = `${SITE}/ipo/${slug}/`;
+    const history = await readHistory(slug);
     const page = siteShell({
       title: `${r.ipo} IPO GMP Today, Price Band, Dates | LiveGMP`,
       desc: `${r.ipo} IPO grey market premium today${r.gmp !== null ? ` is ₹${r.gmp}` : ""}. ${r.type} IPO${r.date ? `, dates ${r.date}` : ""}. Live GMP, price band and listing estimate.`,
       canonical: url,
       jsonld: stubJsonLd(r, url, payload),
-      body: stubBody(r, payload),
+      body: stubBody(r, payload, history),
     });
-    await fs.mkdir(dir, { recursive: true });
-    await fs.writeFile(file, page, "utf8");
-    existing ? refreshed++ : created++;
+    const wrote = await writeIfChanged(file, page, { volatile: volatileOf(payload), nowIso: payload.updatedIso });
+    if (r.openDate) {
+      await writeIfChanged(`${dir}/${STUB_ICS}`, icsCalendar(`${r.ipo} IPO`, icsEvents(r, payload.updatedIso)),
+        { volatile: volatileOf(payload), nowIso: payload.updatedIso });
+    }
+    if (!wrote) unchanged++;
+    else existing ? refreshed++ : created++;
   }
-  console.log(`Stubs: ${created} created, ${refreshed} refreshed, ${skipped} hand-written pages left untouched.`);
+  console.log(`Stubs: ${created} created, ${refreshed} refreshed, ${unchanged} unchanged, ${skipped} hand-written pages left untouched.`);
 }
 
 async function listIpoDirs() {
@@ -507,27 +1349,107 @@ async function listIpoDirs() {
   } catch { return []; }
 }
 
+// ---- stub lifecycle ----
+// data/stubs.json: { "<slug>": { lastSeen, archived } } as IST days. A stub
+// whose IPO hasn't been on the board for ARCHIVE_AFTER_DAYS is re-rendered
+// once as an archived page: final GMP, estimated listing and status read back
+// from its own Key Details table (the last values generateStubs wrote), plus
+// the GMP history. Stubs predating the file start their clock at their last
+// history point, or today. An archived IPO that reappears in a source gets a
+// live stub again from generateStubs. Hand-written pages are never read here.
+const dayDiff = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / (24 * 3600 * 1000));
+
+async function readStubState() {
+  try { return JSON.parse(await fs.readFile(STUBS_JSON, "utf8")); } catch { return {}; }
+}
+
+// Key Details rows of a generated stub -> { "IPO Name": "…", "GMP Today": "₹5", … }
+function stubSnapshot(html) {
+  const $ = load(html);
+  const out = {};
+  $("table.stub-table").first().find("tr").each((_, tr) => {
+    const k = clean($(tr).find("th").text()), v = clean($(tr).find("td").text());
+    if (k) out[k] = v;
+  });
+  return out;
+}
+
+function archivedBody(snap, history, entry) {
+  const name = snap["IPO Name"] || history.ipo;
+  const details = [
+    ["IPO Name", name], ["Type", snap["Type"]], ["IPO Dates", snap["IPO Dates"]], ["Listing Date", snap["Listing Date"]],
+    ["Price Band", snap["Price Band"]], ["Final GMP", snap["GMP Today"]], ["Final Subscription", snap["Subscription"]],
+    ["Estimated Listing (at final GMP)", snap["Estimated Listing"]], ["Listing Outcome", snap["Listing Outcome"]],
+    ["Last Status", snap["Status"]],
+  ].filter(([, value]) => value).map(([label, value]) => ({ label, value }));
+  return render("archived", {
+    mark: ARCHIVED_MARK,
+    name,
+    lastSeen: fmtDay(entry.lastSeen),
+    details,
+    trend: trendSection({ ipo: name }, history),
+  });
+}
+
+// -> how many stubs this run archived
+async function archiveStubs(rows, payload) {
+  const state = await readStubState();
+  const before = JSON.stringify(state);
+  const today = istDay(payload.updatedIso);
+  for (const r of rows) if (r.slug) state[r.slug] = { lastSeen: today, archived: null };
+  const seen = new Set(rows.map(r => r.slug));
+  let archived = 0, waiting = 0;
+  for (const d of await listIpoDirs()) {
+    if (seen.has(d)) continue;
+    const file = `ipo/${d}/index.html`;
+    const html = await fs.readFile(file, "utf8");
+    if (!html.includes(STUB_MARK)) continue; // hand-written: not ours
+    const history = await readHistory(d);
+    const last = history.points[history.points.length - 1];
+    const entry = state[d] = state[d] || { lastSeen: last ? istDay(last.t) : today, archived: null };
+    if (entry.archived || html.includes(ARCHIVED_MARK)) { entry.archived = entry.archived || today; continue; }
+    if (dayDiff(entry.lastSeen, today) < ARCHIVE_AFTER_DAYS) { waiting++; continue; }
+    const snap = stubSnapshot(html);
+    const name = snap["IPO Name"] || history.ipo || d;
+    const url = `${SITE}/ipo/${d}/`;
+    const page = siteShell({
+      title: `${name} IPO GMP History, Final GMP and Listing | LiveGMP`,
+      desc: `${name} IPO final grey market premium${snap["GMP Today"] ? ` was ${snap["GMP Today"]}` : ""}. GMP history, price band, dates and estimated listing — archived.`,
+      canonical: url,
+      jsonld: JSON.stringify({ "@context": "https://schema.org", "@type": "Article",
+        "headline": `${name} IPO GMP History, Final GMP and Listing`, "dateModified": `${today}T00:00:00+05:30`,
+        "mainEntityOfPage": url, "author": { "@type": "Organization", "name": "LiveGMP.in" },
+        "publisher": { "@type": "Organization", "name": "LiveGMP.in" } }),
+      body: archivedBody(snap, history, entry),
+    });
+    await writeIfChanged(file, page, { nowIso: payload.updatedIso });
+    entry.archived = today;
+    archived++;
+  }
+  if (JSON.stringify(state) !== before) {
+    await fs.mkdir(path.dirname(STUBS_JSON), { recursive: true });
+    await fs.writeFile(STUBS_JSON, JSON.stringify(state, null, 2), "utf8");
+  }
+  console.log(`Lifecycle: ${archived} stubs archived, ${waiting} off the board for < ${ARCHIVE_AFTER_DAYS} days.`);
+  return archived;
+}
+
 async function generateIpoIndex(payload) {
   const dirs = await listIpoDirs();
-  const items = [];
+  const items = [], past = [];
   for (const d of dirs) {
     let title = d.replace(/-/g, " ").replace(/\b\w/g, c => c.toUpperCase());
-    let isStub = true;
+    let isStub = true, isArchived = false;
     try {
       const c = await fs.readFile(`ipo/${d}/index.html`, "utf8");
       isStub = c.includes(STUB_MARK);
+      isArchived = isStub && c.includes(ARCHIVED_MARK);
       const m = c.match(/<title>([^<]+)<\/title>/i);
       if (m) title = m[1].replace(/\s*\|\s*LiveGMP.*/i, "");
     } catch {}
-    items.push(`<li><a href="/ipo/${d}/">${esc(title)}</a>${isStub ? ' <span class="tag-stub">GMP page</span>' : ' <span class="tag-analysis">Full analysis</span>'}</li>`);
-  }
-  const body = `
-<h1>IPO Analysis &amp; GMP Pages</h1>
-<p>Every IPO we track gets its own page with live GMP, key details and (for selected IPOs) a full analysis. ${items.length} pages and counting.</p>
-<ul class="ipo-index-list">
-${items.join("\n")}
-</ul>
-<p>Looking for today's numbers? See the <a href="/">live IPO GMP table</a>.</p>`;
+    (isArchived ? past : items).push({ slug: d, title, stub: isStub });
+  }
+  const body = render("ipo-index", { items, past, total: items.length + past.length });
   const page = siteShell({
     title: "IPO Analysis, Reviews & GMP Pages | LiveGMP",
     desc: "Index of all IPO pages on LiveGMP — live grey market premium, key details, dates and full IPO analysis for Mainboard and SME IPOs.",
@@ -536,95 +1458,815 @@ ${items.join("\n")}
       "name": "IPO Analysis & GMP Pages", "url": `${SITE}/ipo/`, "dateModified": payload.updatedIso }),
     body,
   });
-  await fs.mkdir("ipo", { recursive: true });
-  await fs.writeFile("ipo/index.html", page, "utf8");
-  console.log(`ipo/index.html regenerated (${items.length} entries).`);
+  const wrote = await writeIfChanged("ipo/index.html", page, { volatile: volatileOf(payload), nowIso: payload.updatedIso });
+  console.log(`ipo/index.html ${wrote ? "regenerated" : "unchanged"} (${items.length} entries, ${past.length} past).`);
 }
 
 async function generateSitemap(payload) {
   const dirs = await listIpoDirs();
-  const today = payload.updatedIso.slice(0, 10);
+  const opts = { volatile: volatileOf(payload), nowIso: payload.updatedIso };
   const staticUrls = [
-    { loc: `${SITE}/`, freq: "hourly", pri: "1.0" },
-    { loc: `${SITE}/ipo/`, freq: "daily", pri: "0.8" },
-    { loc: `${SITE}/what-is-gmp.html`, freq: "monthly", pri: "0.6" },
-    { loc: `${SITE}/ipo-allotment-status.html`, freq: "monthly", pri: "0.6" },
+    { loc: `${SITE}/`, file: INDEX_HTML, freq: "hourly", pri: "1.0" },
+    { loc: `${SITE}/ipo/`, file: "ipo/index.html", freq: "daily", pri: "0.8" },
+    { loc: `${SITE}/calendar/`, file: CALENDAR_HTML, freq: "daily", pri: "0.7" },
+    { loc: `${SITE}/what-is-gmp.html`, file: "what-is-gmp.html", freq: "monthly", pri: "0.6" },
+    { loc: `${SITE}/ipo-allotment-status.html`, file: "ipo-allotment-status.html", freq: "monthly", pri: "0.6" },
+    { loc: `${SITE}/${ACCURACY_HTML}`, file: ACCURACY_HTML, freq: "daily", pri: "0.5" },
   ];
-  const urls = staticUrls.map(u =>
-    `  <url><loc>${u.loc}</loc><lastmod>${today}</lastmod><changefreq>${u.freq}</changefreq><priority>${u.pri}</priority></url>`)
-    .concat(dirs.map(d =>
-    `  <url><loc>${SITE}/ipo/${d}/</loc><lastmod>${today}</lastmod><changefreq>daily</changefreq><priority>0.7</priority></url>`));
+  const pages = staticUrls.concat(dirs.map(d =>
+    ({ loc: `${SITE}/ipo/${d}/`, file: `ipo/${d}/index.html`, freq: "daily", pri: "0.7" })));
+  const urls = [];
+  for (const u of pages) {
+    const lastmod = await pageLastmod(u.file, opts);
+    urls.push(`  <url><loc>${u.loc}</loc>${lastmod ? `<lastmod>${lastmod.slice(0, 10)}</lastmod>` : ""}<changefreq>${u.freq}</changefreq><priority>${u.pri}</priority></url>`);
+  }
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
 ${urls.join("\n")}
 </urlset>\n`;
-  await fs.writeFile("sitemap.xml", xml, "utf8");
-  console.log(`sitemap.xml regenerated (${urls.length} URLs).`);
+  const wrote = await writeIfChanged("sitemap.xml", xml, opts);
+  console.log(`sitemap.xml ${wrote ? "regenerated" : "unchanged"} (${urls.length} URLs).`);
 }
 
-// ---------------- main ----------------
-(async () => {
-  // 1) scrape, tier by tier
-  let rows = null, sourceUsed = null;
-  for (const src of SOURCES) {
-    try {
-      console.log(`Trying source: ${src.name} (${src.url})`);
-      const html = await fetchHtml(src.url);
-      const raw = parseSourceHtml(html);
-      rows = validateAndNormalize(raw, src.name);
-      sourceUsed = src.name;
-      console.log(`  OK: ${rows.length} valid rows from ${src.name}`);
-      break;
-    } catch (e) {
-      console.log(`  source ${src.name} rejected: ${e.message}`);
+// ---------------- IPO calendar (/calendar/ + iCalendar feeds) ----------------
+// calendar/index.html: this month and next (IST) as Monday-first grids with
+// each IPO on its open and close day. ipo-calendar.ics: one all-day event per
+// IPO window, plus allotment and listing days when known; UIDs are stable per
+// slug, so subscribed calendars update events instead of duplicating them.
+// Every stub with dates also gets ipo/<slug>/calendar.ics. GMP stays out of
+// the events: it would be stale in anyone's calendar within the hour.
+
+// RFC 5545: escape TEXT values, fold lines longer than 75 octets.
+const icsText = s => String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const icsDate = iso => iso.replace(/-/g, "");
+const icsStamp = iso => iso.replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+const nextDay = iso => new Date(Date.parse(iso) + DAY_MS).toISOString().slice(0, 10);
+
+function icsFold(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let cur = "", limit = 75;
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch) > limit) { parts.push(cur); cur = ch; limit = 74; } // 74 + the leading space
+    else cur += ch;
+  }
+  parts.push(cur);
+  return parts.join("\r\n ");
+}
+
+function icsEvents(r, updatedIso) {
+  const url = `${SITE}/ipo/${r.slug}/`;
+  const price = r.price && r.price !== "₹-" ? (r.price.startsWith("₹") ? r.price : "₹" + r.price) : "";
+  const description = [`${r.type} IPO`, price && `Price band ${price}`, r.lotSize && `Lot ${r.lotSize} shares`,
+    `Live GMP: ${url}`].filter(Boolean).join("\n");
+  const event = (kind, start, end, summary) => [
+    "BEGIN:VEVENT",
+    `UID:${r.slug}-${kind}@livegmp.in`,
+    `DTSTAMP:${icsStamp(updatedIso)}`,
+    `DTSTART;VALUE=DATE:${icsDate(start)}`,
+    `DTEND;VALUE=DATE:${icsDate(nextDay(end))}`,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `URL:${url}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+  const out = [];
+  if (r.openDate) out.push(...event("window", r.openDate, r.closeDate || r.openDate, `${r.ipo} IPO open (${r.type})`));
+  if (r.allotmentDate) out.push(...event("allotment", r.allotmentDate, r.allotmentDate, `${r.ipo} IPO allotment`));
+  if (r.listingDate) out.push(...event("listing", r.listingDate, r.listingDate, `${r.ipo} IPO listing`));
+  return out;
+}
+
+function icsCalendar(name, eventLines) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//LiveGMP//IPO Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(name)}`,
+    "X-WR-TIMEZONE:Asia/Kolkata",
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+    ...eventLines,
+    "END:VCALENDAR",
+  ].map(icsFold).join("\r\n") + "\r\n";
+}
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// byDay: { "YYYY-MM-DD": [{ r, kind: "open"|"close" }] }
+function monthGrid(year, month, byDay, today) {
+  const first = new Date(Date.UTC(year, month, 1));
+  const days = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const empty = { empty: true };
+  const cells = Array.from({ length: (first.getUTCDay() + 6) % 7 }, () => empty);
+  for (let d = 1; d <= days; d++) {
+    const iso = new Date(Date.UTC(year, month, d)).toISOString().slice(0, 10);
+    const events = (byDay[iso] || []).map(({ r, kind }) =>
+      ({ kind, slug: r.slug, ipo: r.ipo, label: kind === "open" ? "Opens" : "Closes" }));
+    cells.push({ empty: false, day: d, today: iso === today, events });
+  }
+  while (cells.length % 7) cells.push(empty);
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return render("month", {
+    title: first.toLocaleDateString("en-GB", { timeZone: "UTC", month: "long", year: "numeric" }),
+    weekdays: WEEKDAYS,
+    weeks,
+  });
+}
+
+function calendarBody(rows, updatedIso) {
+  const today = istDay(updatedIso);
+  const byDay = {};
+  const add = (iso, r, kind) => { if (iso) (byDay[iso] = byDay[iso] || []).push({ r, kind }); };
+  for (const r of [...rows].sort((a, b) => a.ipo.localeCompare(b.ipo))) {
+    add(r.openDate, r, "open");
+    if (r.closeDate !== r.openDate) add(r.closeDate, r, "close");
+  }
+  const [y, m] = today.split("-").map(Number);
+  return render("calendar", {
+    ics: CALENDAR_ICS,
+    months: [monthGrid(y, m - 1, byDay, today), monthGrid(m === 12 ? y + 1 : y, m % 12, byDay, today)],
+    undated: rows.filter(r => !r.openDate),
+  });
+}
+
+async function writeCalendar(rows, payload) {
+  const opts = { volatile: volatileOf(payload), nowIso: payload.updatedIso };
+  const page = siteShell({
+    title: "IPO Calendar: Upcoming IPO Open & Close Dates | LiveGMP",
+    desc: "Calendar of upcoming Mainboard and SME IPOs — opening and closing dates this month and next, with an iCalendar (.ics) feed for Google and Outlook.",
+    canonical: `${SITE}/calendar/`,
+    jsonld: JSON.stringify({ "@context": "https://schema.org", "@type": "WebPage",
+      "name": "IPO Calendar", "url": `${SITE}/calendar/`, "dateModified": payload.updatedIso }),
+    body: calendarBody(rows, payload.updatedIso),
+  });
+  const wrotePage = await writeIfChanged(CALENDAR_HTML, page, opts);
+  const events = [...rows].sort((a, b) => a.slug.localeCompare(b.slug)).flatMap(r => icsEvents(r, payload.updatedIso));
+  const wroteIcs = await writeIfChanged(CALENDAR_ICS, icsCalendar("LiveGMP IPO Calendar", events), opts);
+  console.log(`Calendar: ${CALENDAR_HTML} ${wrotePage ? "regenerated" : "unchanged"}, ` +
+    `${CALENDAR_ICS} ${wroteIcs ? "regenerated" : "unchanged"} (${events.filter(l => l === "BEGIN:VEVENT").length} events).`);
+}
+
+// ---------------- static JSON API (api/v1/, described by api/v1/schema.json) ----------------
+// Plain files, so the SFTP-deployed host serves them like any page. Every
+// document shares one envelope; collections carry `rows`, per-IPO documents
+// carry `ipo` + `history`. Per-IPO files of IPOs that dropped off the board
+// are left in place with their last data.
+const API_COLLECTIONS = {
+  ipos: () => true,
+  active: r => r.status === "active",
+  upcoming: r => r.status === "upcoming",
+  mainboard: r => r.type.toLowerCase() !== "sme",   // same split as the cards' data-type
+  sme: r => r.type.toLowerCase() === "sme",
+};
+
+function apiEnvelope(payload) {
+  return {
+    $schema: `${SITE}/${API_DIR}/schema.json`,
+    schemaVersion: API_SCHEMA_VERSION,
+    updatedIso: payload.updatedIso,
+    source: payload.source,
+  };
+}
+
+function apiCollection(rows, name, payload) {
+  const list = rows.filter(API_COLLECTIONS[name]);
+  return { ...apiEnvelope(payload), collection: name, count: list.length, rows: list };
+}
+
+function apiIpo(r, history, payload) {
+  return { ...apiEnvelope(payload), ipo: r, history: history.points };
+}
+
+// Each document goes through writeIfChanged, so one whose data didn't move
+// keeps its old updatedIso and isn't recommitted or re-uploaded.
+async function writeApi(rows, payload) {
+  const opts = { volatile: volatileOf(payload), nowIso: payload.updatedIso };
+  let written = 0;
+  for (const name of Object.keys(API_COLLECTIONS)) {
+    if (await writeIfChanged(`${API_DIR}/${name}.json`, JSON.stringify(apiCollection(rows, name, payload), null, 2), opts)) written++;
+  }
+  for (const r of rows) {
+    if (!r.slug) continue;
+    const doc = apiIpo(r, await readHistory(r.slug), payload);
+    if (await writeIfChanged(`${API_DIR}/ipos/${r.slug}.json`, JSON.stringify(doc, null, 2), opts)) written++;
+  }
+  console.log(`API: ${Object.keys(API_COLLECTIONS).length} collections + ${rows.length} IPO documents in ${API_DIR}/ (${written} rewritten).`);
+}
+
+// ---------------- CSV export (gmp.csv, gmp-history.csv) ----------------
+// CSV_COLUMNS, csvCell and toCsv come from static/gmp-shared.js, which the
+// homepage's "CSV of visible rows" uses too.
+const HISTORY_CSV_COLUMNS = [
+  ["IPO", "ipo"], ["Slug", "slug"], ["Time (UTC)", "t"], ["GMP (₹)", "gmp"],
+  ["Price", "price"], ["Est. listing", "listing"], ["Status", "status"],
+];
+
+// Every recorded change of every IPO with a history file, oldest first per IPO.
+async function historyCsvRecords() {
+  let files = [];
+  try { files = (await fs.readdir(HISTORY_DIR)).filter(f => f.endsWith(".json")).sort(); } catch {}
+  const out = [];
+  for (const f of files) {
+    const h = await readHistory(f.slice(0, -5));
+    for (const p of h.points) out.push({ ipo: h.ipo, slug: h.slug, ...p });
+  }
+  return out;
+}
+
+async function writeCsv(rows) {
+  await fs.writeFile(GMP_CSV, toCsv(rows, CSV_COLUMNS), "utf8");
+  const history = await historyCsvRecords();
+  await fs.writeFile(HISTORY_CSV, toCsv(history, HISTORY_CSV_COLUMNS), "utf8");
+  console.log(`CSV: ${rows.length} rows in ${GMP_CSV}, ${history.length} history points in ${HISTORY_CSV}.`);
+}
+
+// ---------------- feeds (feed.xml Atom + feed.json JSON Feed 1.1) ----------------
+// Entries come from the run-to-run diff in main(): an IPO appearing for the
+// first time, a status change, or a GMP move of at least FEED_GMP_MOVE.
+// feed.json doubles as the store: each run prepends its entries to the items
+// already published and drops whatever falls outside the rolling window.
+const FEED_TITLE = "LiveGMP — IPO GMP updates";
+
+function feedEvents(oldRows, rows) {
+  const before = new Map(oldRows.map(o => [o.slug || ipoSlug(o.ipo), o]));
+  const events = [];
+  for (const r of rows) {
+    const o = before.get(r.slug);
+    if (!o) { events.push({ kind: "new", row: r }); continue; }
+    if (o.status !== r.status) events.push({ kind: "status", row: r, from: o.status });
+    if (typeof o.gmp === "number" && r.gmp !== null && Math.abs(r.gmp - o.gmp) >= FEED_GMP_MOVE)
+      events.push({ kind: "gmp", row: r, from: o.gmp });
+  }
+  return events;
+}
+
+function feedItem(ev, updatedIso) {
+  const r = ev.row;
+  const url = `${SITE}/ipo/${r.slug}/`;
+  const gmp = r.gmp === null ? "not quoted" : `₹${r.gmp}`;
+  const title =
+    ev.kind === "new" ? `New IPO: ${r.ipo} (GMP ${gmp})`
+    : ev.kind === "status" ? `${r.ipo} IPO is now ${r.status} (was ${ev.from || "unknown"})`
+    : `${r.ipo} GMP ${r.gmp > ev.from ? "up" : "down"} to ${gmp} (was ₹${ev.from})`;
+  const listing = listingLabel(r);
+  const text = [
+    `GMP ${gmp}`,
+    r.price && `Price ${r.price}`,
+    listing && `Est. listing ${listing}`,
+    r.date && `Dates ${r.date}`,
+    `${r.type} · ${r.status}`,
+  ].filter(Boolean).join(" · ");
+  return {
+    id: `${url}#${ev.kind}-${updatedIso}`,
+    url, title, content_text: text,
+    date_published: updatedIso,
+    tags: [ev.kind, r.status],
+  };
+}
+
+// New items first, then the previous ones still inside the window.
+function rollFeedItems(fresh, old, nowMs) {
+  const cutoff = nowMs - FEED_WINDOW_DAYS * DAY_MS;
+  const seen = new Set();
+  return [...fresh, ...old]
+    .filter(it => Date.parse(it.date_published) >= cutoff && !seen.has(it.id) && seen.add(it.id))
+    .slice(0, FEED_MAX_ITEMS);
+}
+
+function jsonFeed(items) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: FEED_TITLE,
+    home_page_url: `${SITE}/`,
+    feed_url: `${SITE}/${FEED_JSON}`,
+    description: "New IPOs, status changes and grey market premium moves, from the hourly LiveGMP build.",
+    language: "en-IN",
+    items,
+  };
+}
+
+function atomFeed(items, updatedIso) {
+  const entries = items.map(it => `  <entry>
+    <title>${esc(it.title)}</title>
+    <id>${esc(it.id)}</id>
+    <link rel="alternate" href="${esc(it.url)}"/>
+    <updated>${it.date_published}</updated>
+    <summary>${esc(it.content_text)}</summary>
+${it.tags.map(t => `    <category term="${esc(t)}"/>`).join("\n")}
+  </entry>`);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${esc(FEED_TITLE)}</title>
+  <id>${SITE}/</id>
+  <link rel="self" type="application/atom+xml" href="${SITE}/${FEED_XML}"/>
+  <link rel="alternate" type="text/html" href="${SITE}/"/>
+  <updated>${items.length ? items[0].date_published : updatedIso}</updated>
+  <author><name>LiveGMP.in</name></author>
+${entries.join("\n")}
+</feed>\n`;
+}
+
+// oldRows === null (first run, no gmp.json) publishes nothing rather than
+// announcing every IPO on the board as new.
+async function updateFeeds(oldRows, rows, payload) {
+  let old = [];
+  try { old = JSON.parse(await fs.readFile(FEED_JSON, "utf8")).items || []; } catch {}
+  const fresh = oldRows ? feedEvents(oldRows, rows).map(ev => feedItem(ev, payload.updatedIso)) : [];
+  const items = rollFeedItems(fresh, old, Date.parse(payload.updatedIso));
+  const unchanged = items.length === old.length && items.every((it, i) => it.id === old[i].id);
+  if (unchanged && old.length) {
+    console.log("Feeds: no new entries.");
+    return;
+  }
+  await fs.writeFile(FEED_JSON, JSON.stringify(jsonFeed(items), null, 2), "utf8");
+  await fs.writeFile(FEED_XML, atomFeed(items, payload.updatedIso), "utf8");
+  console.log(`Feeds: ${fresh.length} new entries, ${items.length} in ${FEED_XML} / ${FEED_JSON}.`);
+}
+
+// ---------------- notifications (channels + dispatch in scripts/notify/) ----------------
+// The feed's run-to-run diff plus date reminders that hold all day, changed
+// data or not; notify() dedupes on `key` so each goes out once.
+function notifyEvents(oldRows, rows, nowMs) {
+  const today = istDay(new Date(nowMs).toISOString());
+  const stamp = new Date(nowMs).toISOString();
+  const event = (kind, key, r, extra = {}) => ({
+    kind, key, ipo: r.ipo, slug: r.slug, gmp: r.gmp, price: r.price, date: r.date,
+    type: r.type, status: r.status, url: `${SITE}/ipo/${r.slug}/`, ...extra,
+  });
+  const before = oldRows ? new Map(oldRows.map(o => [o.slug || ipoSlug(o.ipo), o])) : null;
+  const events = [];
+  for (const r of rows) {
+    const o = before && before.get(r.slug);
+    if (before && !o) events.push(event("new", `new:${r.slug}`, r));
+    if (o && o.status !== "listed" && r.status === "listed") events.push(event("listed", `listed:${r.slug}`, r));
+    // a 0/blank previous GMP gives no base for a percentage
+    if (o && typeof o.gmp === "number" && o.gmp !== 0 && r.gmp !== null) {
+      const pct = round2(((r.gmp - o.gmp) / Math.abs(o.gmp)) * 100);
+      if (Math.abs(pct) >= NOTIFY_GMP_JUMP_PCT)
+        events.push(event("gmp-jump", `gmp-jump:${r.slug}:${stamp}`, r, { prevGmp: o.gmp, pct }));
+    }
+    if (r.openDate === today) events.push(event("opening", `opening:${r.slug}:${today}`, r));
+    if (r.closeDate === today) events.push(event("closing", `closing:${r.slug}:${today}`, r));
+  }
+  return events;
+}
+
+// ---------------- run log (data/runs.jsonl) + status.html ----------------
+// Every run appends one entry, whatever its outcome, so a source that starts
+// losing rows or columns shows up here before it fails outright:
+//   { t, mode, outcome, sourceUsed, rows, held, ms, error,
+//     sources: [{ name, outcome, error, fetch: { status, ms, attempts, bytes },
+//                 headers, fields, raw, valid, drops }],
+//     subscriptionSources: [same, for the subscription dataset] }
+// outcome: published | unchanged | failed | aborted. In tiered mode sources
+// after the winner are not tried and have no entry.
+async function readRuns() {
+  try {
+    return (await fs.readFile(RUNS_JSONL, "utf8")).split("\n").filter(Boolean).map(l => JSON.parse(l));
+  } catch { return []; }
+}
+
+// ok / tried per source over `runs`; `key` picks the GMP sources or the
+// subscription ones
+function sourceHealth(runs, key = "sources") {
+  const health = {};
+  for (const run of runs) {
+    for (const s of run[key] || []) {
+      const h = health[s.name] || (health[s.name] = { ok: 0, tried: 0, lastOk: null, last: null });
+      h.tried++;
+      if (s.outcome === "ok") { h.ok++; h.lastOk = run.t; }
+      h.last = { ...s, t: run.t };
     }
   }
-  if (!rows) {
+  return health;
+}
+
+function statusBody(runs) {
+  const pct = (h) => h.tried ? `${Math.round((100 * h.ok) / h.tried)}%` : "—";
+  const healthRows = key => {
+    const day = sourceHealth(runs.slice(-24), key);
+    const all = sourceHealth(runs, key);
+    return Object.keys(all).map(name => {
+      const last = all[name].last;
+      return {
+        name, day: pct(day[name] || { tried: 0 }), all: pct(all[name]),
+        lastOk: all[name].lastOk ? fmtIst(all[name].lastOk) : "never",
+        ok: last.outcome === "ok", outcome: last.outcome, error: last.error || "",
+        cols: last.headers ? `${last.fields.length} fields: ${last.fields.join(", ")}` : "—",
+      };
+    });
+  };
+  const count = s => s.raw === undefined ? "—" : `${s.valid}/${s.raw}`;
+  const subscription = healthRows("subscriptionSources");
+  return render("status", {
+    runsFile: RUNS_JSONL,
+    total: runs.length,
+    health: [
+      { title: "Sources", sources: healthRows("sources") },
+      ...(subscription.length ? [{ title: "Subscription sources", sources: subscription,
+        note: "Day-wise subscription figures, tried tier by tier. A failure here only delays those figures; the GMP update goes ahead." }] : []),
+    ],
+    runs: runs.slice(-STATUS_RECENT).reverse().map(run => ({
+      when: fmtIst(run.t),
+      ok: run.outcome === "published" || run.outcome === "unchanged",
+      outcome: run.outcome, error: run.error || "",
+      from: run.sourceUsed || "—",
+      ipos: `${run.rows ?? "—"}${run.held ? ` (${run.held} held)` : ""}`,
+      sources: (run.sources || []).map((s, i) => ({
+        first: i === 0, ok: s.outcome === "ok", error: s.error || "", name: s.name,
+        fetch: s.fetch && s.fetch.status ? `HTTP ${s.fetch.status}` : "no response", count: count(s),
+      })),
+    })),
+  });
+}
+
+async function recordRun(entry) {
+  const runs = (await readRuns()).concat(entry).slice(-RUNS_KEEP);
+  await fs.mkdir(RUNS_JSONL.slice(0, RUNS_JSONL.lastIndexOf("/")), { recursive: true });
+  await fs.writeFile(RUNS_JSONL, runs.map(r => JSON.stringify(r)).join("\n") + "\n", "utf8");
+  const page = siteShell({
+    title: "Build & Source Status | LiveGMP",
+    desc: "Health of the LiveGMP hourly build and each GMP source: recent runs, success rates and columns found.",
+    canonical: `${SITE}/${STATUS_HTML}`,
+    jsonld: JSON.stringify({ "@context": "https://schema.org", "@type": "WebPage",
+      "name": "LiveGMP build status", "url": `${SITE}/${STATUS_HTML}`, "dateModified": entry.t }),
+    body: statusBody(runs),
+    noindex: true,
+  });
+  await fs.writeFile(STATUS_HTML, page, "utf8");
+  console.log(`Run log: ${entry.outcome}, ${runs.length} runs kept in ${RUNS_JSONL}; ${STATUS_HTML} regenerated.`);
+}
+
+// ---------------- CLI ----------------
+const CLI_ONLY = ["stubs", "index", "sitemap"];
+const USAGE = `Usage: node scripts/build_gmp.js [options]
+
+  --dry-run            scrape, validate and print the diff against gmp.json; write nothing
+  --source <name>      use only this source (${SOURCES.map(s => s.name).join(", ")})
+  --from-file <html>   parse a saved page instead of fetching it, with the --source
+                       adapter (default ${SOURCES[0].name}); subscription figures
+                       are the stored ones, not fetched. Needs --out or --dry-run
+  --only <output>      rebuild one output from the committed gmp.json, no scraping:
+                       stubs (ipo/<slug>/ + ipo/index.html) | index (index.html and the
+                       hand-written pages' shared header/footer) | sitemap
+  --out <dir>          copy the build's inputs into <dir> and write there, not the live tree;
+                       no notifications are sent (data/notify_state.json is untouched)
+  --json               machine-readable summary on stdout (logs go to stderr)
+  -h, --help           show this text
+
+No options = the hourly build: every source, publish to the working tree.`;
+
+function parseCli(argv) {
+  const { values: v } = parseArgs({
+    args: argv,
+    options: {
+      "dry-run": { type: "boolean" },
+      "source": { type: "string" },
+      "from-file": { type: "string" },
+      "only": { type: "string" },
+      "out": { type: "string" },
+      "json": { type: "boolean" },
+      "help": { type: "boolean", short: "h" },
+    },
+  });
+  if (v.source && !SOURCES.some(s => s.name === v.source))
+    throw new Error(`unknown source "${v.source}" (have: ${SOURCES.map(s => s.name).join(", ")})`);
+  if (v.only && !CLI_ONLY.includes(v.only))
+    throw new Error(`--only takes one of: ${CLI_ONLY.join(", ")}`);
+  if (v.only && (v["dry-run"] || v.source || v["from-file"]))
+    throw new Error("--only rebuilds from gmp.json; it can't be combined with --dry-run, --source or --from-file");
+  // a saved page is a snapshot, not live data: never publish it over the real tree
+  if (v["from-file"] && !v.out && !v["dry-run"])
+    throw new Error("--from-file needs --out <dir> (or --dry-run); it never writes to the live tree");
+  return {
+    dryRun: !!v["dry-run"],
+    source: v.source || null,
+    fromFile: v["from-file"] ? path.resolve(v["from-file"]) : null,
+    only: v.only || null,
+    out: v.out ? path.resolve(v.out) : null,
+    json: !!v.json,
+    help: !!v.help,
+  };
+}
+
+function pickSources({ source, fromFile }) {
+  let list = source ? SOURCES.filter(s => s.name === source) : SOURCES;
+  if (fromFile) list = [{ ...list[0], file: fromFile }];
+  return list;
+}
+
+// Run-to-run row diff, keyed by slug: what --dry-run prints.
+function diffRows(oldRows, rows) {
+  const before = new Map(oldRows.map(o => [o.slug || ipoSlug(o.ipo), o]));
+  const after = new Set(rows.map(r => r.slug));
+  const diff = { added: [], removed: [...before.keys()].filter(s => !after.has(s)), changed: [] };
+  for (const r of rows) {
+    const o = before.get(r.slug);
+    if (!o) { diff.added.push(r.slug); continue; }
+    const fields = {};
+    for (const k of new Set([...Object.keys(o), ...Object.keys(r)])) {
+      const a = o[k] ?? null, b = r[k] ?? null;   // a missing field equals null
+      if (JSON.stringify(a) !== JSON.stringify(b)) fields[k] = [a, b];
+    }
+    if (Object.keys(fields).length) diff.changed.push({ slug: r.slug, fields });
+  }
+  return diff;
+}
+
+function formatDiff(diff) {
+  const show = v => typeof v === "object" && v !== null ? JSON.stringify(v) : String(v);
+  const lines = [
+    ...diff.added.map(s => `+ ${s}`),
+    ...diff.removed.map(s => `- ${s}`),
+    ...diff.changed.map(c => `~ ${c.slug}: ` +
+      Object.entries(c.fields).map(([k, [a, b]]) => `${k} ${show(a)} -> ${show(b)}`).join(", ")),
+  ];
+  return lines.length ? lines.join("\n") : "(no changes)";
+}
+
+// --out: everything the build reads and rewrites, copied so it can run there.
+const STAGE_INPUTS = [GMP_JSON, INDEX_HTML, ...STATIC_PAGES, "data", "ipo", "static", FEED_JSON, API_DIR];
+
+async function stageInto(dir) {
+  if (dir !== process.cwd()) {
+    await fs.mkdir(dir, { recursive: true });
+    for (const p of STAGE_INPUTS) {
+      try { await fs.cp(p, path.join(dir, p), { recursive: true }); }
+      catch (e) { if (e.code !== "ENOENT") throw e; }
+    }
+    process.chdir(dir);
+  }
+  console.log(`Staging: writing into ${dir}`);
+}
+
+const GMP_MARKERS_RE = /<!--\s*GMP_START\s*-->[\s\S]*?<!--\s*GMP_END\s*-->/;
+
+// --only: rebuild one output from the committed payload.
+async function regenerate(only) {
+  let payload;
+  try { payload = JSON.parse(await fs.readFile(GMP_JSON, "utf8")); }
+  catch (e) { throw new Error(`--only needs an existing ${GMP_JSON}: ${e.message}`); }
+  await loadManifest();
+  if (only === "stubs") {
+    await loadNameRegistry();
+    await generateStubs(payload.rows, payload);
+    await archiveStubs(payload.rows, payload);
+    await generateIpoIndex(payload);
+  } else if (only === "index") {
+    const html = await fs.readFile(INDEX_HTML, "utf8");
+    if (!GMP_MARKERS_RE.test(html)) throw new Error(`GMP_START/GMP_END markers not found in ${INDEX_HTML}`);
+    const wrapper = buildWrapper(payload.rows, payload);
+    await fs.writeFile(INDEX_HTML, renderPartials(html.replace(GMP_MARKERS_RE, `<!-- GMP_START -->\n${wrapper}\n<!-- GMP_END -->`)), "utf8");
+    console.log(`Injected ${payload.rows.length}-row wrapper into ${INDEX_HTML}.`);
+    await refreshStaticPages();
+  } else {
+    await generateSitemap(payload);
+  }
+  await saveManifest();
+  return payload;
+}
+
+// ---------------- main ----------------
+// `report` collects this source's entry for data/runs.jsonl as it goes, so a
+// rejection still leaves whatever was learned before the throw.
+async function scrapeSource(src, now, report = {}, validate = validateAndNormalize) {
+  console.log(`Trying source: ${src.name} (${src.file || src.url})`);
+  Object.assign(report, { name: src.name, outcome: "rejected", fetch: {} });
+  const html = src.file   // --from-file: a saved page, parsed with this source's adapter
+    ? await fs.readFile(src.file, "utf8")
+    : await fetchHtml(src.url, { ...src.fetchOptions, stats: report.fetch });
+  const rows = validate(src.parse(html, report), src.name, now, report);
+  report.outcome = "ok";
+  console.log(`  OK: ${rows.length} valid rows from ${src.name}`);
+  return rows;
+}
+
+async function scrapeTiered(now, log = [], sources = SOURCES, validate = validateAndNormalize) {
+  for (const src of sources) {
+    const report = {};
+    log.push(report);
+    try { return { rows: await scrapeSource(src, now, report, validate), sourceUsed: src.name }; }
+    catch (e) { report.error = e.message; console.log(`  source ${src.name} rejected: ${e.message}`); }
+  }
+  return { rows: null, sourceUsed: null };
+}
+
+async function scrapeMerged(now, log = [], sources = SOURCES) {
+  const results = [];
+  for (const src of sources) {
+    const report = {};
+    log.push(report);
+    try { results.push({ name: src.name, rows: await scrapeSource(src, now, report) }); }
+    catch (e) { report.error = e.message; console.log(`  source ${src.name} rejected: ${e.message}`); }
+  }
+  if (!results.length) return { rows: null, sourceUsed: null };
+  const rows = mergeSourceRows(results, now);
+  console.log(`Merged ${results.length} source(s) into ${rows.length} IPOs (${rows.filter(r => r.disputed).length} disputed).`);
+  return { rows, sourceUsed: results.map(r => r.name).join("+") };
+}
+
+// By the time notifications go out the data is already published: a broken
+// data/notify.json or channel is logged, never allowed to fail the run.
+async function notifySafely(events, nowMs) {
+  try { await notify(events, { nowMs }); }
+  catch (e) { console.warn(`  WARN: notifications skipped: ${e.message}`); }
+}
+
+async function main(opts = {}) {
+  const now = new Date();
+  const run = { t: now.toISOString(), mode: SOURCE_MODE, outcome: "failed", sources: [], subscriptionSources: [] };
+  // --json: one summary object on stdout, whatever the outcome
+  const summary = result => {
+    if (opts.json) process.stdout.write(JSON.stringify({ dryRun: !!opts.dryRun, ...result }, null, 2) + "\n");
+  };
+  const finishRun = async (outcome, extra = {}) => {
+    const entry = { ...run, outcome, ...extra, ms: Date.now() - now.getTime() };
+    if (!opts.dryRun) await recordRun(entry);
+    summary(entry);
+  };
+  // staged runs are previews: no alerts go out and notify_state stays as it is
+  const sendNotifications = async events => {
+    if (opts.out) console.log(`Staging: ${events.length} notification event(s) not sent.`);
+    else await notifySafely(events, now.getTime());
+  };
+  if (opts.out) await stageInto(opts.out);
+  if (opts.only) {
+    const payload = await regenerate(opts.only);
+    summary({ outcome: "regenerated", only: opts.only, updatedIso: payload.updatedIso, rows: payload.rows.length });
+    return;
+  }
+  await loadNameRegistry();
+
+  let oldData = null;
+  try { oldData = JSON.parse(await fs.readFile(GMP_JSON, "utf8")); } catch {}
+
+  // 1) scrape: every source (merge) or tier by tier; --source/--from-file narrow it
+  const sources = pickSources(opts);
+  const { rows: scraped, sourceUsed } = SOURCE_MODE === "tiered"
+    ? await scrapeTiered(now.getTime(), run.sources, sources)
+    : await scrapeMerged(now.getTime(), run.sources, sources);
+  if (!scraped) {
     console.error("FATAL: all sources failed validation. Keeping last-good data untouched.");
+    await finishRun("failed", { error: "all sources failed validation" });
     process.exit(1);
   }
+  carryForwardDates(scraped, oldData ? oldData.rows : [], now.getTime());
+
+  // 1a) editorial overrides (data/overrides.json): field fixes, hides, pins, notes
+  const overrideStats = {};
+  const corrected = applyOverrides(scraped, await loadOverrides(), now.getTime(), overrideStats);
+  if (overrideStats.applied.length || overrideStats.unknown.length) {
+    run.overrides = { applied: overrideStats.applied.length, hidden: overrideStats.hidden, unknown: overrideStats.unknown };
+  }
+
+  // 1b) anomaly guard: hold back implausible rows, or abort on run-wide glitches
+  const histories = {};
+  for (const r of corrected) histories[r.slug] = (await readHistory(r.slug)).points;
+  const prevReport = await readAnomalyReport();
+  const guarded = guardRows(corrected, oldData ? oldData.rows : null, histories, prevReport, now.getTime());
+  if (!opts.dryRun) await writeAnomalyReport(guarded.report, prevReport);
+  if (!guarded.rows) {
+    console.error(`FATAL: anomaly guard (${guarded.report.abort.check}): ${guarded.report.abort.reason}. ` +
+      `Keeping last-good data untouched; see ${ANOMALY_JSON}.`);
+    await finishRun("aborted", { sourceUsed, error: `${guarded.report.abort.check}: ${guarded.report.abort.reason}` });
+    process.exit(1);
+  }
+  const rows = guarded.rows;
+  Object.assign(run, { sourceUsed, rows: rows.length, held: guarded.report.held.length });
+
+  // 1c) subscription figures (second dataset; its failures only cost freshness)
+  attachSubscription(rows, await updateSubscription(now.getTime(), run.subscriptionSources,
+    { write: !opts.dryRun, offline: !!opts.fromFile }));
+
+  // 1d) listing outcomes: freeze the last estimate next to the actual listing price
+  const graded = await recordOutcomes(rows, await readJsonOr(OUTCOMES_JSON, {}),
+    await readJsonOr(LISTINGS_JSON, {}), histories, sourceUsed);
+  if (graded.changed && !opts.dryRun) await fs.writeFile(OUTCOMES_JSON, JSON.stringify(graded.outcomes, null, 2), "utf8");
+  attachOutcomes(rows, graded.outcomes);
+
+  // --dry-run stops here: show what would be published
+  if (opts.dryRun) {
+    const diff = diffRows(oldData ? oldData.rows : [], rows);
+    if (!opts.json) console.log(`Dry run: diff against ${GMP_JSON} (nothing written)\n${formatDiff(diff)}`);
+    await finishRun("dry-run", { diff, anomalies: guarded.report });
+    return;
+  }
+
+  const payload = {
+    updatedIso: now.toISOString(),
+    updatedLocal: now.toLocaleString("en-GB", { timeZone: "Asia/Kolkata" }) + " IST",
+    source: sourceUsed,
+    rows,
+  };
 
   // 2) change detection against committed gmp.json (compare data only)
   const newData = { source: sourceUsed, rows };
-  let oldData = null;
-  try { oldData = JSON.parse(await fs.readFile(GMP_JSON, "utf8")); } catch {}
   const stripped = j => JSON.stringify({ source: j.source, rows: j.rows });
   if (oldData && stripped(oldData) === stripped(newData)) {
-    console.log("No data change since last run — nothing to write, nothing to deploy.");
-    return; // exit 0, no file writes => auto-commit action commits nothing
+    console.log("No data change since last run — nothing to publish.");
+    // the archive clock counts days, not data changes: stubs off the board
+    // for ARCHIVE_AFTER_DAYS move to "Past IPOs" on a quiet day too
+    await loadManifest();
+    if (await archiveStubs(rows, payload)) {
+      await generateIpoIndex(payload);
+      await generateSitemap(payload);
+    }
+    await saveManifest();
+    // "opens/closes today" reminders don't wait for a data change
+    await sendNotifications(notifyEvents(oldData.rows, rows, now.getTime()));
+    await finishRun("unchanged");
+    return; // exit 0, gmp.json untouched => no data commit unless a stub was archived
   }
 
   // 3) verify index.html markers BEFORE writing anything, so a broken page
   //    can never end up paired with an updated gmp.json.
   const html = await fs.readFile(INDEX_HTML, "utf8");
-  const re = /<!--\s*GMP_START\s*-->[\s\S]*?<!--\s*GMP_END\s*-->/;
-  if (!re.test(html)) {
+  if (!GMP_MARKERS_RE.test(html)) {
     console.error(`FATAL: GMP_START/GMP_END markers not found in ${INDEX_HTML}. Aborting without changes.`);
+    await finishRun("failed", { error: `GMP markers missing in ${INDEX_HTML}` });
     process.exit(1);
   }
 
   // 4) write gmp.json + index.html together
-  const now = new Date();
-  const payload = {
-    updatedIso: now.toISOString(),
-    updatedLocal: now.toLocaleString("en-GB", { timeZone: "Asia/Kolkata" }) + " IST",
-    source: sourceUsed,
-    rows,
-  };
   const wrapper = buildWrapper(rows, payload);
   await fs.writeFile(GMP_JSON, JSON.stringify(payload, null, 2), "utf8");
   console.log(`Wrote ${GMP_JSON} (${rows.length} rows, source=${sourceUsed})`);
-  await fs.writeFile(INDEX_HTML, html.replace(re, `<!-- GMP_START -->\n${wrapper}\n<!-- GMP_END -->`), "utf8");
+  await fs.writeFile(INDEX_HTML, renderPartials(html.replace(GMP_MARKERS_RE, `<!-- GMP_START -->\n${wrapper}\n<!-- GMP_END -->`)), "utf8");
   console.log(`Injected ${rows.length}-row wrapper into ${INDEX_HTML}.`);
 
-  // 5) per-IPO stub pages (never overwrite hand-written blogs)
+  // 5) per-IPO GMP history (only rows whose gmp/price/listing/status moved)
+  await recordHistory(rows, payload);
+
+  // 6) per-IPO stub pages (never overwrite hand-written blogs); each page is
+  //    rewritten only when its content hash moves (data/manifest.json)
+  await loadManifest();
   await generateStubs(rows, payload);
+  await archiveStubs(rows, payload); // IPOs off the board for ARCHIVE_AFTER_DAYS -> "Past IPOs"
 
-  // 6) analysis index + sitemap
+  // 7) analysis index, accuracy scoreboard, shared partials in the
+  //    hand-written pages + sitemap
   await generateIpoIndex(payload);
+  await writeAccuracyPage(graded.outcomes, payload);
+  await writeCalendar(rows, payload);
+  await refreshStaticPages();
   await generateSitemap(payload);
+
+  // 8) static JSON API (collections + per-IPO documents with history) + CSV
+  await writeApi(rows, payload);
+  await saveManifest();
+  await writeCsv(rows);
+
+  // 9) Atom + JSON feeds from this run's diff against the committed rows
+  await updateFeeds(oldData ? oldData.rows : null, rows, payload);
+
+  // 10) notifications (webhook/Telegram/SMTP per data/notify.json)
+  await sendNotifications(notifyEvents(oldData ? oldData.rows : null, rows, now.getTime()));
+
+  // 11) run log + status page
+  await finishRun("published");
   console.log("Done.");
-})().catch(err => {
-  console.error("FATAL:", err && err.stack ? err.stack : err);
-  process.exit(1);
-});
+}
+
+module.exports = {
+  SOURCES, HEADER_MAP, MIN_ROWS, MIN_VALID_RATIO,
+  esc, clean, slugify, parseGmpNumber, normalizeStatus, normalizeType,
+  parsePriceBand, parseListing, parseLotSize, parseIssueSize, estimateListing,
+  parseDayMonth, resolveDateRange, resolveSingleDate, resolveIpoDates, addWorkingDays,
+  statusFromDates, computeStatusFromDate, carryForwardDates,
+  mapHeaders, scoreTable, parseSourceHtml, validateAndNormalize,
+  normalizeIpoName, nameSimilarity, ipoSlug, loadNameRegistry, nameRegistry,
+  NAME_MATCH_MIN, NAME_WARN_MIN, MERGE_DISAGREE_ABS, MERGE_DISAGREE_PCT, median, mergeSourceRows,
+  HISTORY_FULL_DAYS, HISTORY_MAX_POINTS, historyChanged, compactHistory, rowAnomaly, guardRows, sparklineSvg, trendSection, subscriptionSection,
+  manifest, loadManifest, saveManifest, contentHash, writeIfChanged, generateSitemap,
+  generateStubs, stubSnapshot, archiveStubs, generateIpoIndex,
+  apiCollection, apiIpo, writeApi, schemaErrors, CSV_COLUMNS, csvCell, toCsv, feedEvents, feedItem, rollFeedItems, jsonFeed, atomFeed, notifyEvents, notifySafely,
+  cardHtml, cardPrototype, buildWrapper, siteShell, stubBody, archivedBody, sourceHealth, statusBody,
+  parseTimes, validateSubscription, mergeSubscription, attachSubscription, subscriptionLine, updateSubscription,
+  loadOverrides, applyOverrides,
+  parseListedPrice, preListingPoint, listingOutcome, recordOutcomes, attachOutcomes, outcomeLine, accuracyStats, accuracyBody,
+  icsText, icsFold, icsEvents, icsCalendar, monthGrid, calendarBody,
+  parseCli, diffRows, formatDiff, main,
+};
+
+if (require.main === module) {
+  let opts;
+  try { opts = parseCli(process.argv.slice(2)); }
+  catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (opts.json) console.log = (...args) => console.error(...args); // keep stdout for the summary
+  main(opts).catch(err => {
+    console.error("FATAL:", err && err.stack ? err.stack : err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,47 @@
+/**
+ * notify/channel.js — shared shape of a notification channel.
+ *
+ * Channel contract (every module in scripts/notify/ except index.js exports a
+ * factory (cfg, env) -> channel):
+ *   type        "webhook" | "telegram" | "smtp" | "file"
+ *   name        id used in logs and in the rate-limit state, default = type
+ *   ready       false when required settings/secrets are missing (skipped, not an error)
+ *   events      event kinds this channel wants, default = all
+ *   templates   { kind: "text with {placeholders}" } overriding DEFAULT_TEMPLATES
+ *   rateLimit   { max, perMinutes }: sends allowed per sliding window
+ *   send(msg)   async; msg = { event, text, subject }. Throws on delivery failure.
+ *
+ * Secrets never live in data/notify.json: the config names the channel and
+ * its limits, the factory reads tokens/addresses from the environment.
+ */
+
+const DEFAULT_RATE_LIMIT = { max: 20, perMinutes: 60 };
+const POST_TIMEOUT_MS = 15000;     // a hung endpoint must not stall the hourly build
+
+function createChannel(def) {
+  if (!def || !def.type || typeof def.send !== "function") {
+    throw new Error("notification channel needs a type and send()");
+  }
+  return {
+    name: def.name || def.type,
+    ready: true,
+    events: null,
+    templates: {},
+    ...def,
+    rateLimit: { ...DEFAULT_RATE_LIMIT, ...(def.rateLimit || {}) },
+  };
+}
+
+// POST a JSON body; non-2xx or no answer within timeoutMs is a delivery failure.
+async function postJson(url, body, { timeoutMs = POST_TIMEOUT_MS } = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res;
+}
+
+module.exports = { createChannel, postJson, DEFAULT_RATE_LIMIT };
@@ -0,0 +1,18 @@
+// notify/file.js — appends each message as one JSON line to a file. Used as
+// the dry-run sink (LIVEGMP_NOTIFY_DRY_RUN=<path>) and for offline tests.
+const fs = require("fs").promises;
+const path = require("path");
+const { createChannel } = require("./channel");
+
+module.exports = (cfg = {}, env = process.env) => {
+  const file = cfg.path || env.LIVEGMP_NOTIFY_FILE;
+  return createChannel({
+    type: "file",
+    ...cfg,
+    ready: !!file,
+    async send({ event, text, subject }) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, JSON.stringify({ channel: this.name, kind: event.kind, key: event.key, subject, text }) + "\n", "utf8");
+    },
+  });
+};
@@ -0,0 +1,155 @@
+/**
+ * notify/index.js — dispatches build events to an ordered list of channels.
+ *
+ * Events come from build_gmp.js (notifyEvents): { kind, key, ipo, slug, gmp,
+ * prevGmp, pct, price, date, type, status, url }. Kinds:
+ *   new       IPO appears on the board for the first time
+ *   listed    IPO moved to listed
+ *   gmp-jump  GMP moved by >= LIVEGMP_NOTIFY_GMP_JUMP_PCT % since the previous run
+ *   opening   IPO opens today (IST)
+ *   closing   IPO closes today (IST)
+ *
+ * Channels are listed in data/notify.json and tried in that order for every
+ * event; a channel that throws is logged and skipped, never fatal to the build.
+ * `key` dedupes across runs per channel (data/notify_state.json), so "opens
+ * today" goes out once even though the build runs hourly. Only deliveries
+ * are recorded: a failed or rate-limited send is tried again on the next run
+ * that still produces the event.
+ *
+ * LIVEGMP_NOTIFY_DRY_RUN=<path> swaps every channel's transport for the file
+ * sink (templates, filters and rate limits still apply) and leaves the state
+ * file alone.
+ */
+
+const fs = require("fs").promises;
+const fileChannel = require("./file");
+
+const CHANNEL_TYPES = {
+  webhook: require("./webhook"),
+  telegram: require("./telegram"),
+  smtp: require("./smtp"),
+  file: fileChannel,
+};
+
+const NOTIFY_JSON = "data/notify.json";
+const NOTIFY_STATE_JSON = "data/notify_state.json";
+const SENT_KEEP_DAYS = 30;         // dedupe keys older than this are forgotten
+
+const DEFAULT_TEMPLATES = {
+  "new":      "🆕 New IPO: {ipo} ({type}) · GMP {gmp} · {date}\n{url}",
+  "listed":   "🔔 {ipo} has listed · last GMP {gmp}\n{url}",
+  "gmp-jump": "📈 {ipo} GMP {direction} {pct}%: {prevGmp} → {gmp}\n{url}",
+  "opening":  "🟢 {ipo} IPO opens today · GMP {gmp} · Price {price}\n{url}",
+  "closing":  "⏰ {ipo} IPO closes today · GMP {gmp}\n{url}",
+};
+
+const money = v => v === null || v === undefined ? "—" : `₹${v}`;
+
+// "{field}" placeholders; unknown fields render empty.
+function renderTemplate(tpl, event) {
+  const vars = {
+    ...event,
+    gmp: money(event.gmp),
+    prevGmp: money(event.prevGmp),
+    direction: event.pct < 0 ? "down" : "up",
+    pct: event.pct === undefined ? "" : Math.abs(event.pct),
+  };
+  return tpl.replace(/\{(\w+)\}/g, (_, k) => (vars[k] === null || vars[k] === undefined ? "" : String(vars[k])));
+}
+
+function messageFor(channel, event) {
+  const tpl = channel.templates[event.kind] || DEFAULT_TEMPLATES[event.kind] || "{ipo}: {kind}\n{url}";
+  const text = renderTemplate(tpl, event);
+  return { event, text, subject: `LiveGMP: ${text.split("\n")[0]}` };
+}
+
+async function loadNotifyConfig(file = NOTIFY_JSON) {
+  try { return JSON.parse(await fs.readFile(file, "utf8")); }
+  catch (e) {
+    if (e.code === "ENOENT") return { channels: [] };
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+function buildChannels(config, env = process.env) {
+  return (config.channels || []).map(cfg => {
+    const factory = CHANNEL_TYPES[cfg.type];
+    if (!factory) throw new Error(`${NOTIFY_JSON}: unknown channel type "${cfg.type}"`);
+    const ch = factory(cfg, env);
+    if (!env.LIVEGMP_NOTIFY_DRY_RUN) return ch;
+    // same name/filters/templates/limits, file transport
+    const { type, ...rest } = cfg;
+    return fileChannel({ ...rest, name: ch.name, path: env.LIVEGMP_NOTIFY_DRY_RUN }, env);
+  });
+}
+
+async function readNotifyState(file = NOTIFY_STATE_JSON) {
+  try {
+    const s = JSON.parse(await fs.readFile(file, "utf8"));
+    // older state files kept one timestamp per key for all channels
+    const sent = Object.fromEntries(Object.entries(s.sent || {})
+      .map(([k, v]) => [k, typeof v === "string" ? { "*": v } : v]));
+    return { sent, channels: s.channels || {} };
+  } catch { return { sent: {}, channels: {} }; }
+}
+
+// Sliding window: sends within the last perMinutes, per channel name.
+function underRateLimit(channel, state, nowMs) {
+  const since = nowMs - channel.rateLimit.perMinutes * 60 * 1000;
+  const recent = (state.channels[channel.name] || []).filter(t => Date.parse(t) > since);
+  state.channels[channel.name] = recent;
+  return recent.length < channel.rateLimit.max;
+}
+
+// Sends every event through each ready channel in order, skipping channels
+// that already delivered it. Events over a channel's rate limit are dropped
+// for that channel this run, not queued. Mutates and returns `state` (sent:
+// { key: { channel: iso } }); the caller persists it.
+async function dispatch(events, channels, state, nowMs = Date.now()) {
+  const nowIso = new Date(nowMs).toISOString();
+  const delivered = (ev, ch) => { const s = state.sent[ev.key]; return !!(s && (s["*"] || s[ch.name])); };
+  const wants = (ch, ev) => ch.ready && (!ch.events || ch.events.includes(ev.kind)) && !delivered(ev, ch);
+  const fresh = events.filter(ev => channels.some(ch => wants(ch, ev)));
+  const stats = { sent: 0, failed: 0, limited: 0 };
+  for (const ch of channels) {
+    for (const ev of fresh) {
+      if (!wants(ch, ev)) continue;
+      if (!underRateLimit(ch, state, nowMs)) { stats.limited++; continue; }
+      try {
+        await ch.send(messageFor(ch, ev));
+        state.channels[ch.name].push(nowIso);
+        (state.sent[ev.key] = state.sent[ev.key] || {})[ch.name] = nowIso;
+        stats.sent++;
+      } catch (e) {
+        stats.failed++;
+        console.warn(`  WARN: notify ${ch.name} failed for ${ev.key}: ${e.message}`);
+      }
+    }
+  }
+  const keepAfter = nowMs - SENT_KEEP_DAYS * 24 * 3600 * 1000;
+  for (const [k, byChannel] of Object.entries(state.sent)) {
+    if (Math.max(...Object.values(byChannel).map(Date.parse)) < keepAfter) delete state.sent[k];
+  }
+  return { state, stats, fresh: fresh.length };
+}
+
+// Entry point for build_gmp.js main().
+async function notify(events, { nowMs = Date.now(), env = process.env } = {}) {
+  const channels = buildChannels(await loadNotifyConfig(), env);
+  const ready = channels.filter(c => c.ready);
+  if (!ready.length) {
+    console.log(`Notify: ${events.length} events, no channel configured.`);
+    return;
+  }
+  const { state, stats, fresh } = await dispatch(events, ready, await readNotifyState(), nowMs);
+  console.log(`Notify: ${fresh} new events -> ${ready.map(c => c.name).join(", ")}: ` +
+    `${stats.sent} sent, ${stats.failed} failed, ${stats.limited} rate-limited.`);
+  if (env.LIVEGMP_NOTIFY_DRY_RUN) return;
+  if (fresh) await fs.writeFile(NOTIFY_STATE_JSON, JSON.stringify(state, null, 2), "utf8");
+}
+
+module.exports = {
+  CHANNEL_TYPES, DEFAULT_TEMPLATES,
+  renderTemplate, messageFor, loadNotifyConfig, buildChannels, readNotifyState,
+  underRateLimit, dispatch, notify,
+};
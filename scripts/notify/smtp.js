@@ -0,0 +1,117 @@
+// notify/smtp.js — plain-text email over SMTP with no mail library: EHLO,
+// STARTTLS when offered (or implicit TLS on port 465), AUTH LOGIN, one message.
+// Settings: SMTP_HOST, SMTP_PORT (default 587), SMTP_USER, SMTP_PASS,
+// SMTP_FROM, SMTP_TO (comma-separated).
+const net = require("net");
+const tls = require("tls");
+const { createChannel } = require("./channel");
+
+// Reads multi-line SMTP replies ("250-...", "250 ...") off a socket.
+function replyReader(socket) {
+  let buf = "", waiting = null, lines = [];
+  const pending = [];
+  const onData = chunk => {
+    buf += chunk.toString("utf8");
+    let i;
+    while ((i = buf.indexOf("\r\n")) !== -1) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), text: lines.join("\n") };
+        lines = [];
+        if (waiting) { const w = waiting; waiting = null; w(reply); } else pending.push(reply);
+      }
+    }
+  };
+  socket.on("data", onData);
+  return {
+    next: () => pending.length ? Promise.resolve(pending.shift()) : new Promise(r => { waiting = r; }),
+    detach: () => socket.removeListener("data", onData),
+  };
+}
+
+async function smtpSend({ host, port, secure, user, pass, from, to, subject, text, timeoutMs = 20000 }) {
+  let socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  let failed, reader;
+  // a socket error (or the timeout) fails whichever reply is being awaited;
+  // the listener stays for the socket's life, so a later error is a no-op
+  // on the settled promise instead of an unhandled 'error' event
+  const attach = s => {
+    s.setTimeout(timeoutMs, () => s.destroy(new Error("SMTP timeout")));
+    let fail;
+    failed = new Promise((_, rej) => { fail = rej; });
+    failed.catch(() => {});
+    s.on("error", err => fail(err));
+    reader = replyReader(s);
+  };
+  attach(socket);
+
+  const expect = async (codes, what) => {
+    const reply = await Promise.race([reader.next(), failed]);
+    if (!codes.includes(reply.code)) throw new Error(`SMTP ${what}: ${reply.text}`);
+    return reply;
+  };
+  const cmd = (line, codes, what = line.split(" ")[0]) => {
+    socket.write(line + "\r\n");
+    return expect(codes, what);
+  };
+
+  try {
+    await expect([220], "greeting");
+    const ehlo = await cmd("EHLO livegmp.in", [250]);
+    if (!secure && /STARTTLS/i.test(ehlo.text)) {
+      await cmd("STARTTLS", [220]);
+      reader.detach();
+      socket = tls.connect({ socket, servername: host });
+      attach(socket);
+      await cmd("EHLO livegmp.in", [250]);
+    }
+    if (user) {
+      await cmd("AUTH LOGIN", [334]);
+      await cmd(Buffer.from(user).toString("base64"), [334], "AUTH user");
+      await cmd(Buffer.from(pass || "").toString("base64"), [235], "AUTH pass");
+    }
+    await cmd(`MAIL FROM:<${from}>`, [250]);
+    for (const rcpt of to) await cmd(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await cmd("DATA", [354]);
+    const headers = [
+      `From: LiveGMP <${from}>`,
+      `To: ${to.join(", ")}`,
+      `Subject: =?UTF-8?B?${Buffer.from(subject).toString("base64")}?=`,
+      `Date: ${new Date().toUTCString()}`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: 8bit",
+    ];
+    // dot-stuffing: a body line starting with "." gets a second one
+    const body = text.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+    await cmd(`${headers.join("\r\n")}\r\n\r\n${body}\r\n.`, [250], "message");
+    await cmd("QUIT", [221]);
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = (cfg = {}, env = process.env) => {
+  const host = cfg.host || env.SMTP_HOST;
+  const port = Number(cfg.port || env.SMTP_PORT) || 587;
+  const from = cfg.from || env.SMTP_FROM;
+  const to = String(cfg.to || env.SMTP_TO || "").split(",").map(s => s.trim()).filter(Boolean);
+  return createChannel({
+    type: "smtp",
+    ...cfg,
+    ready: !!(host && from && to.length),
+    async send({ subject, text }) {
+      await smtpSend({
+        host, port, secure: port === 465,
+        user: env.SMTP_USER, pass: env.SMTP_PASS,
+        from, to, subject, text,
+      });
+    },
+  });
+};
+
+module.exports.smtpSend = smtpSend;
@@ -0,0 +1,20 @@
+// notify/telegram.js — Telegram Bot API sendMessage. Needs TELEGRAM_BOT_TOKEN
+// and TELEGRAM_CHAT_ID (the same secrets the workflow's failure alert uses);
+// TELEGRAM_API_BASE points it at a local stub instead of api.telegram.org.
+const { createChannel, postJson } = require("./channel");
+
+module.exports = (cfg = {}, env = process.env) => {
+  const token = env.TELEGRAM_BOT_TOKEN;
+  const chatId = cfg.chatId || env.TELEGRAM_CHAT_ID;
+  const base = cfg.apiBase || env.TELEGRAM_API_BASE || "https://api.telegram.org";
+  return createChannel({
+    type: "telegram",
+    ...cfg,
+    ready: !!(token && chatId),
+    async send({ text }) {
+      await postJson(`${base}/bot${token}/sendMessage`, {
+        chat_id: chatId, text, disable_web_page_preview: true,
+      });
+    },
+  });
+};
@@ -0,0 +1,15 @@
+// notify/webhook.js — generic JSON webhook: POSTs the event fields plus the
+// rendered text to LIVEGMP_WEBHOOK_URL (or cfg.url, for a local stub).
+const { createChannel, postJson } = require("./channel");
+
+module.exports = (cfg = {}, env = process.env) => {
+  const url = cfg.url || env.LIVEGMP_WEBHOOK_URL;
+  return createChannel({
+    type: "webhook",
+    ...cfg,
+    ready: !!url,
+    async send({ event, text }) {
+      await postJson(url, { ...event, text });
+    },
+  });
+};
@@ -0,0 +1,7 @@
+// sources/chanakya.js — fallback source; generic table heuristic.
+const { createAdapter } = require("./generic");
+
+module.exports = createAdapter({
+  name: "chanakya",
+  url: "https://chanakyanipothi.com/ipo-gmp-today/",
+});
@@ -0,0 +1,137 @@
+/**
+ * sources/generic.js — the default source adapter: header-mapped <table> parsing.
+ *
+ * Adapter contract (every module in scripts/sources/ exports one):
+ *   name          short id, used in logs and gmp.json `source`
+ *   url           page to fetch
+ *   fetchOptions  { headers, attempts } passed to fetchHtml (optional)
+ *   headerMap     replaces HEADER_MAP for this site only (optional)
+ *   selector      CSS selector for candidate tables, default "table" (optional)
+ *   parse(html, report)
+ *                 -> raw rows { ipo, gmpRaw, price, listing, date, type, status,
+ *                    updated, allotmentDate, listingDate, lot, size, listedPrice }
+ *                    (all strings; "" when absent). `listedPrice` is the ACTUAL
+ *                    listing-day price, `listing` the GMP-based estimate.
+ *                 `report` (optional) gets { headers, fields } of the table used,
+ *                 for the run log in data/runs.jsonl
+ *
+ * createAdapter() fills in parse() with the generic heuristic below, so a site
+ * needing only a different header vocabulary or table selector stays declarative;
+ * a site that stops using <table> supplies its own parse().
+ */
+
+const { load } = require("cheerio");
+const { clean } = require("../util");
+
+// Header synonyms -> canonical field. Matching is "header CONTAINS key".
+// Order matters: first match wins, so put more specific keys first.
+const HEADER_MAP = [
+  // before "ipo"/"listing"/"date" so "IPO Allotment" / "Listing Date" land here
+  { field: "allotmentDate", keys: ["allotment"] },
+  { field: "listingDate",   keys: ["listing date", "listing on", "listing day"] },
+  // actual price on listing day; before "listing", whose "listing price" is the estimate
+  { field: "listedPrice",   keys: ["listed price", "listed at", "actual listing", "listing open"] },
+  { field: "ipo",     keys: ["ipo name", "company", "ipo"] },
+  { field: "gmp",     keys: ["ipo gmp", "gmp", "premium"] },
+  { field: "price",   keys: ["price band", "ipo price", "issue price", "price"] },
+  { field: "listing", keys: ["est. listing", "est listing", "estimated listing", "listing price", "listing gain", "listing"] },
+  { field: "date",    keys: ["date", "open", "close"] },
+  { field: "type",    keys: ["type", "board", "exchange"] },
+  { field: "status",  keys: ["status", "stage"] },
+  { field: "updated", keys: ["last updated", "updated"] },
+  { field: "lot",     keys: ["lot size", "market lot", "min lot"] },
+  { field: "size",    keys: ["issue size", "ipo size"] },
+];
+
+function mapHeaders(headerTexts, headerMap = HEADER_MAP) {
+  const map = {}; // field -> column index
+  headerTexts.forEach((h, idx) => {
+    const hl = h.toLowerCase();
+    for (const { field, keys } of headerMap) {
+      if (map[field] !== undefined) continue;
+      if (keys.some(k => hl.includes(k))) { map[field] = idx; break; }
+    }
+  });
+  return map;
+}
+
+// `required`: fields the headers must expose for the table to count at all
+// (IPO name + GMP here; the subscription adapters ask for name + total).
+function scoreTable($, $t, headerMap = HEADER_MAP, required = ["ipo", "gmp"]) {
+  const first = $t.find("tr").first();
+  const cells = first.find("th").length ? first.find("th") : first.find("td");
+  const headers = [];
+  cells.each((_, c) => headers.push(clean($(c).text())));
+  const map = mapHeaders(headers, headerMap);
+  const ok = required.every(f => map[f] !== undefined);
+  // score = how many canonical fields this table's headers expose.
+  // The LIVE table (ipo/gmp/price/listing/date/type/status/updated) scores far
+  // higher than history tables (ipo/price/gmp/listing) even if history has
+  // 10x more rows — so field coverage decides, row count only breaks ties.
+  const score = Object.keys(map).length;
+  return { ok, map, headers, score, rows: $t.find("tr").length };
+}
+
+// One raw row per table row. `cell(field)` is the text under that field's
+// column, "" when the table has no such column.
+const gmpRow = cell => ({
+  ipo: cell("ipo"),
+  gmpRaw: cell("gmp"),
+  price: cell("price"),
+  listing: cell("listing"),
+  date: cell("date"),
+  type: cell("type"),
+  status: cell("status"),
+  updated: cell("updated"),
+  allotmentDate: cell("allotmentDate"),
+  listingDate: cell("listingDate"),
+  lot: cell("lot"),
+  size: cell("size"),
+  listedPrice: cell("listedPrice"),
+});
+
+// The best-scoring table among `selector` whose headers expose every
+// `required` field -> buildRow(cell) for each of its data rows. The defaults
+// read a GMP table; the subscription adapters pass their own three.
+function parseSourceHtml(html, { headerMap = HEADER_MAP, required = ["ipo", "gmp"], buildRow = gmpRow,
+  selector = "table", report = {} } = {}) {
+  const $ = load(html);
+  let best = null;
+  $(selector).each((_, t) => {
+    const $t = $(t);
+    const info = scoreTable($, $t, headerMap, required);
+    if (!info.ok) return;
+    if (!best || info.score > best.score ||
+        (info.score === best.score && info.rows > best.rows)) {
+      best = { $t, ...info };
+    }
+  });
+  if (!best) throw new Error(`no table with recognizable ${required.join("+")} headers`);
+  console.log(`  table headers: [${best.headers.join(" | ")}]`);
+  report.headers = best.headers;
+  report.fields = Object.keys(best.map);
+
+  const rows = [];
+  best.$t.find("tr").slice(1).each((_, tr) => {
+    const tds = $(tr).find("td");
+    if (!tds.length) return;
+    const cell = f => {
+      const i = best.map[f];
+      return (i === undefined || i >= tds.length) ? "" : clean($(tds[i]).text());
+    };
+    rows.push(buildRow(cell));
+  });
+  return rows;
+}
+
+function createAdapter(def) {
+  if (!def || !def.name || !def.url) throw new Error("source adapter needs a name and url");
+  const { headerMap, selector } = def;
+  return {
+    fetchOptions: {},
+    parse: (html, report) => parseSourceHtml(html, { headerMap, selector, report }),
+    ...def,
+  };
+}
+
+module.exports = { HEADER_MAP, mapHeaders, scoreTable, parseSourceHtml, createAdapter };
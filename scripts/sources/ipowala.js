@@ -0,0 +1,7 @@
+// sources/ipowala.js — fallback source; generic table heuristic.
+const { createAdapter } = require("./generic");
+
+module.exports = createAdapter({
+  name: "ipowala",
+  url: "https://ipowala.in/ipo-grey-market-premium-gmp/",
+});
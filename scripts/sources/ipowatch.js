@@ -0,0 +1,8 @@
+// sources/ipowatch.js — primary source. Its live table carries every field the
+// generic HEADER_MAP knows, so the default heuristic is all it needs.
+const { createAdapter } = require("./generic");
+
+module.exports = createAdapter({
+  name: "ipowatch",
+  url: "https://ipowatch.in/ipo-grey-market-premium-latest-ipo-gmp/",
+});
@@ -0,0 +1,8 @@
+// subscription/chittorgarh.js — fallback subscription source; its report table
+// heads the columns "QIB (x)", "NII (x)", "Retail (x)", "Total (x)".
+const { createAdapter } = require("./generic");
+
+module.exports = createAdapter({
+  name: "chittorgarh-subs",
+  url: "https://www.chittorgarh.com/report/ipo-subscription-status-live-bidding-data-bse-nse/21/",
+});
@@ -0,0 +1,62 @@
+/**
+ * subscription/generic.js — default adapter for the subscription dataset:
+ * live "times subscribed" tables, header-mapped like sources/generic.js.
+ *
+ * Adapter contract (every module in scripts/subscription/ exports one):
+ *   name          short id, used in logs, data/runs.jsonl and data/subscription.json
+ *   url           page to fetch
+ *   fetchOptions  { headers, attempts } passed to fetchHtml (optional)
+ *   headerMap     replaces SUBSCRIPTION_HEADER_MAP for this site only (optional)
+ *   selector      CSS selector for candidate tables, default "table" (optional)
+ *   parse(html, report)
+ *                 -> raw rows { ipo, qib, nii, retail, employee, total }
+ *                    (all strings; "" when absent), `report` as in sources/
+ *
+ * Figures are cumulative "times subscribed" as of the fetch; build_gmp.js
+ * files them under the IST day they were seen, which is what makes the
+ * dataset day-wise.
+ */
+
+const { parseSourceHtml } = require("../sources/generic");
+
+// Same "header CONTAINS key", first-match-wins rules as HEADER_MAP. The
+// bNII/sNII split columns are claimed first so they never pass for NII.
+const SUBSCRIPTION_HEADER_MAP = [
+  { field: "bnii",     keys: ["bnii", "b-nii", "big nii", "nii (>"] },
+  { field: "snii",     keys: ["snii", "s-nii", "small nii", "nii (<"] },
+  { field: "ipo",      keys: ["ipo name", "company", "ipo"] },
+  { field: "qib",      keys: ["qib", "qualified"] },
+  { field: "nii",      keys: ["nii", "hni", "non-institutional", "non institutional"] },
+  { field: "retail",   keys: ["retail", "rii"] },
+  { field: "employee", keys: ["employee", "emp"] },
+  { field: "total",    keys: ["total", "overall"] },
+];
+
+const REQUIRED = ["ipo", "total"];
+
+const subscriptionRow = cell => ({
+  ipo: cell("ipo"),
+  qib: cell("qib"),
+  nii: cell("nii"),
+  retail: cell("retail"),
+  employee: cell("employee"),
+  total: cell("total"),
+});
+
+// Same table pick and row walk as the GMP sources, with this dataset's
+// headers, required fields and row shape.
+function parseSubscriptionHtml(html, { headerMap = SUBSCRIPTION_HEADER_MAP, selector, report } = {}) {
+  return parseSourceHtml(html, { headerMap, required: REQUIRED, buildRow: subscriptionRow, selector, report });
+}
+
+function createAdapter(def) {
+  if (!def || !def.name || !def.url) throw new Error("subscription adapter needs a name and url");
+  const { headerMap, selector } = def;
+  return {
+    fetchOptions: {},
+    parse: (html, report) => parseSubscriptionHtml(html, { headerMap, selector, report }),
+    ...def,
+  };
+}
+
+module.exports = { SUBSCRIPTION_HEADER_MAP, parseSubscriptionHtml, createAdapter };
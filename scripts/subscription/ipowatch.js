@@ -0,0 +1,8 @@
+// subscription/ipowatch.js — primary subscription source: one live table with
+// QIB / NII / Retail / Total columns, so the default heuristic is enough.
+const { createAdapter } = require("./generic");
+
+module.exports = createAdapter({
+  name: "ipowatch-subs",
+  url: "https://ipowatch.in/ipo-subscription-status-live/",
+});
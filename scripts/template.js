@@ -0,0 +1,129 @@
+// scripts/template.js — small Mustache-style templates for the generated pages.
+// Templates live in templates/<name>.html and any of them can be pulled into
+// another as a partial, or into a hand-written page between PARTIAL markers.
+//
+//   {{ path }}                      value, HTML-escaped (null/undefined/false -> "")
+//   {{{ path }}}                    value as-is, for markup rendered elsewhere
+//   {{> name }}                     templates/<name>.html with the same context
+//   {{#if path}} … {{else}} … {{/if}}   empty arrays count as false, as does 0
+//   {{#unless path}} … {{/unless}}
+//   {{#each path}} … {{/each}}      names resolve on the item first, then
+//                                   outward; {{ . }} is the item itself
+//
+// Paths are dotted ("r.registrar.url"). A template file's final newline is
+// dropped so partials can be inlined mid-line.
+const fs = require("fs");
+const path = require("path");
+const { esc } = require("./util");
+
+const TEMPLATE_DIR = path.join(__dirname, "..", "templates");
+const TAG_RE = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if|#unless|#each|\/if|\/unless|\/each|else(?=\s*\}\})|>)?\s*([\w.-]*)\s*\}\}/g;
+const compiled = new Map();
+
+// source -> tree of strings and { type, path, body, alt } nodes
+function parse(src, name) {
+  const root = { body: [] };
+  const stack = [root];
+  const target = () => { const top = stack[stack.length - 1]; return top.inAlt ? top.alt : top.body; };
+  let last = 0, m;
+  TAG_RE.lastIndex = 0;
+  while ((m = TAG_RE.exec(src))) {
+    if (m.index > last) target().push(src.slice(last, m.index));
+    last = TAG_RE.lastIndex;
+    const [, raw, op, arg] = m;
+    if (raw) { target().push({ type: "raw", path: raw }); continue; }
+    if (!op) { target().push({ type: "value", path: arg }); continue; }
+    if (op === ">") { target().push({ type: "partial", name: arg }); continue; }
+    if (op === "else") {
+      const top = stack[stack.length - 1];
+      if (top === root || top.type === "each") throw new Error(`${name}: {{else}} outside {{#if}}/{{#unless}}`);
+      top.inAlt = true;
+      continue;
+    }
+    if (op[0] === "#") {
+      const node = { type: op.slice(1), path: arg, body: [], alt: [] };
+      target().push(node);
+      stack.push(node);
+      continue;
+    }
+    const open = stack.pop();
+    if (open === root || open.type !== op.slice(1)) {
+      throw new Error(`${name}: {{${op}}} does not close ${open === root ? "anything" : `{{#${open.type} ${open.path}}}`}`);
+    }
+  }
+  if (stack.length > 1) { const open = stack.pop(); throw new Error(`${name}: unclosed {{#${open.type} ${open.path}}}`); }
+  if (last < src.length) root.body.push(src.slice(last));
+  return root.body;
+}
+
+// scopes: innermost first
+function lookup(scopes, p) {
+  if (p === ".") return scopes[0];
+  const [head, ...rest] = p.split(".");
+  const scope = scopes.find(s => s !== null && typeof s === "object" && head in s);
+  let v = scope ? scope[head] : undefined;
+  for (const k of rest) v = v === null || v === undefined ? undefined : v[k];
+  return v;
+}
+
+const truthy = v => (Array.isArray(v) ? v.length > 0 : !!v);
+const text = v => (v === null || v === undefined || v === false ? "" : String(v));
+
+function renderNodes(nodes, scopes) {
+  let out = "";
+  for (const n of nodes) {
+    if (typeof n === "string") out += n;
+    else if (n.type === "value") out += esc(text(lookup(scopes, n.path)));
+    else if (n.type === "raw") out += text(lookup(scopes, n.path));
+    else if (n.type === "partial") out += renderNodes(load(n.name), scopes);
+    else if (n.type === "each") {
+      for (const item of lookup(scopes, n.path) || []) out += renderNodes(n.body, [item, ...scopes]);
+    } else {
+      const yes = truthy(lookup(scopes, n.path)) === (n.type === "if");
+      out += renderNodes(yes ? n.body : n.alt, scopes);
+    }
+  }
+  return out;
+}
+
+function load(name) {
+  if (!compiled.has(name)) {
+    const file = path.join(TEMPLATE_DIR, `${name}.html`);
+    let src;
+    try { src = fs.readFileSync(file, "utf8"); }
+    catch (e) { throw new Error(`template "${name}": ${e.message}`); }
+    compiled.set(name, parse(src.replace(/\r?\n$/, ""), `templates/${name}.html`));
+  }
+  return compiled.get(name);
+}
+
+const render = (name, context = {}) => renderNodes(load(name), [context]);
+const renderString = (src, context = {}) => renderNodes(parse(src, "(inline)"), [context]);
+
+// Hand-written pages pull partials in between markers:
+//   <!-- PARTIAL header active.guide=1 -->…<!-- /PARTIAL -->
+// key=value / key="quoted value" pairs (dotted keys nest) become the
+// partial's context. Output is indented like the opening marker.
+const PARTIAL_RE = /^([ \t]*)<!-- PARTIAL ([\w-]+)((?:\s+[\w.]+=(?:"[^"]*"|[^\s"]+))*)\s*-->[\s\S]*?<!-- \/PARTIAL -->/gm;
+const PARAM_RE = /([\w.]+)=(?:"([^"]*)"|([^\s"]+))/g;
+
+function markerContext(params) {
+  const ctx = {};
+  for (const [, key, quoted, bare] of params.matchAll(PARAM_RE)) {
+    const keys = key.split(".");
+    let at = ctx;
+    for (const k of keys.slice(0, -1)) at = at[k] = at[k] || {};
+    at[keys[keys.length - 1]] = quoted !== undefined ? quoted : bare;
+  }
+  return ctx;
+}
+
+function renderPartials(html) {
+  return html.replace(PARTIAL_RE, (whole, indent, name, params) => {
+    const body = render(name, markerContext(params)).split("\n")
+      .map(line => (line ? indent + line : line)).join("\n");
+    return `${indent}<!-- PARTIAL ${name}${params} -->\n${body}\n${indent}<!-- /PARTIAL -->`;
+  });
+}
+
+module.exports = { TEMPLATE_DIR, render, renderString, renderPartials };
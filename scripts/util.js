@@ -0,0 +1,15 @@
+// scripts/util.js — tiny text helpers shared by the builder and source adapters.
+
+const esc = (s = "") =>
+  String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const clean = (s = "") => String(s ?? "").replace(/\s+/g, " ").trim();
+
+function slugify(name) {
+  return clean(name).toLowerCase()
+    .replace(/\s+/g, "-").replace(/[^a-z0-9-]/g, "")
+    .replace(/-+/g, "-").replace(/^-|-$/g, "");
+}
+
+module.exports = { esc, clean, slugify };
@@ -1,11 +1,27 @@
-// static/gmp-client.js — v2 (status filter + type filter + stale notice)
+// static/gmp-client.js — v5 (status/type filters + search + sort, state in URL,
+// live refresh from /gmp.json after each :30 build, starred watchlist,
+// CSV of the filtered rows, stale notice)
+// Needs static/gmp-shared.js (window.LiveGMP) loaded first.
 (function(){
+  const { GROUPS, gmpLabelAndClass, sourcesLine, subscriptionLine, listingLabel, groupRows, toCsv } = window.LiveGMP;
   const SHOW_BATCH = 7;
   const BATCH_SIZE = 7;
   const STALE_AFTER_MS = 6 * 60 * 60 * 1000; // 6 hours
+  // build starts at :30; the deploy lands a few minutes later, so poll a few times
+  const REFRESH_AFTER_RUN_MIN = [4, 8, 15, 25];
+  const WATCH_KEY = 'livegmp:watchlist';          // localStorage
+  const VISIT_KEY = 'livegmp:visit';              // sessionStorage: one visit per tab session
+  const GROUP_TITLES = Object.fromEntries(GROUPS);
 
   let statusFilter = 'all';
   let typeFilter = 'all';
+  let searchQuery = '';
+  let sortKey = 'gmp';                               // buildWrapper's server-side order
+  // { slug: { seen: GMP on the latest visit, base: GMP on the visit before } }
+  let watchlist = {};
+
+  // URL query keys <-> state; defaults are left out so plain "/" stays clean
+  const URL_KEYS = { status: 'all', type: 'all', q: '', sort: 'gmp' };
 
   function qs(s, el=document){ return el.querySelector(s); }
   function qsa(s, el=document){ return Array.from(el.querySelectorAll(s)); }
@@ -23,16 +39,88 @@
       if (card.dataset.clickBound) return;         // bind once
       card.dataset.clickBound = '1';
       card.addEventListener('click', (e) => {
-        if (e.target.closest('.filter-btn') || e.target.id === 'load-more-btn' || e.target.closest('.ipo-link')) return;
+        if (e.target.closest('.filter-btn') || e.target.closest('.watch-btn') || e.target.id === 'load-more-btn' || e.target.closest('.ipo-link')) return;
         toggleCard(card);
       });
     });
   }
 
+  const norm = s => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
   function matches(card){
     const okStatus = statusFilter === 'all' || card.dataset.status === statusFilter;
     const okType   = typeFilter   === 'all' || card.dataset.type   === typeFilter;
-    return okStatus && okType;
+    const okSearch = !searchQuery || norm(card.dataset.name).includes(searchQuery);
+    return okStatus && okType && okSearch;
+  }
+
+  // numeric data-* value, or null when the card has none (sorted last)
+  function num(card, key){
+    const v = card.dataset[key];
+    return v === '' || v === undefined ? null : Number(v);
+  }
+
+  function compareCards(a, b){
+    const pinned = (b.dataset.pinned === '1') - (a.dataset.pinned === '1'); // editorial pins stay on top
+    if (pinned) return pinned;
+    const byName = norm(a.dataset.name).localeCompare(norm(b.dataset.name));
+    if (sortKey === 'name') return byName;
+    if (sortKey === 'open') {
+      const x = a.dataset.open || '', y = b.dataset.open || '';
+      if (!x || !y) return (!x) - (!y) || byName;
+      return x.localeCompare(y) || byName;
+    }
+    const x = num(a, sortKey), y = num(b, sortKey); // 'gmp' | 'gain', high -> low
+    if (x === null || y === null) return (x === null) - (y === null) || byName;
+    return (y - x) || byName;
+  }
+
+  // Reorder cards inside each section; headings stay where they are
+  function sortCards(){
+    qsa('#gmp-cards .section-heading').forEach(h => {
+      const cards = [];
+      let el = h.nextElementSibling;
+      while (el && !el.classList.contains('section-heading')) {
+        if (el.classList.contains('ipo-card')) cards.push(el);
+        el = el.nextElementSibling;
+      }
+      let anchor = h;
+      cards.sort(compareCards).forEach(c => { anchor.after(c); anchor = c; });
+    });
+  }
+
+  function readUrlState(){
+    const p = new URLSearchParams(location.search);
+    statusFilter = p.get('status') || URL_KEYS.status;
+    typeFilter   = p.get('type')   || URL_KEYS.type;
+    searchQuery  = norm(p.get('q'));
+    sortKey      = p.get('sort')   || URL_KEYS.sort;
+  }
+
+  function writeUrlState(){
+    const p = new URLSearchParams(location.search);
+    const state = { status: statusFilter, type: typeFilter, q: searchQuery, sort: sortKey };
+    Object.keys(URL_KEYS).forEach(k => {
+      if (state[k] && state[k] !== URL_KEYS[k]) p.set(k, state[k]); else p.delete(k);
+    });
+    const qstr = p.toString();
+    history.replaceState(null, '', location.pathname + (qstr ? '?' + qstr : '') + location.hash);
+  }
+
+  // reflect state in the controls (initial load from a shared URL)
+  function syncControls(){
+    // unknown values in a hand-edited URL fall back to the defaults
+    if (!qsa('.filter-btn[data-filter]').some(b => b.dataset.filter === statusFilter)) statusFilter = URL_KEYS.status;
+    if (!qsa('.filter-btn[data-type-filter]').some(b => b.dataset.typeFilter === typeFilter)) typeFilter = URL_KEYS.type;
+    qsa('.filter-btn[data-filter]').forEach(b => b.classList.toggle('active', b.dataset.filter === statusFilter));
+    qsa('.filter-btn[data-type-filter]').forEach(b => b.classList.toggle('active', b.dataset.typeFilter === typeFilter));
+    const search = qs('#gmp-search');
+    if (search) search.value = searchQuery;
+    const sort = qs('#gmp-sort');
+    if (sort) {
+      if (!qsa('option', sort).some(o => o.value === sortKey)) sortKey = URL_KEYS.sort;
+      sort.value = sortKey;
+    }
   }
 
   // Apply both filters, hide empty section headings, re-run lazy batching
@@ -80,6 +168,7 @@
         b.classList.add('active');
         statusFilter = b.dataset.filter;
         applyFilters();
+        writeUrlState();
       });
     });
     // type buttons: data-type-filter
@@ -89,19 +178,167 @@
         b.classList.add('active');
         typeFilter = b.dataset.typeFilter;
         applyFilters();
+        writeUrlState();
       });
     });
+    const search = qs('#gmp-search');
+    if (search) search.addEventListener('input', () => {
+      searchQuery = norm(search.value);
+      applyFilters();
+      writeUrlState();
+    });
+    const sort = qs('#gmp-sort');
+    if (sort) sort.addEventListener('change', () => {
+      sortKey = sort.value;
+      sortCards();
+      applyFilters();
+      writeUrlState();
+    });
+  }
+
+  // ---- watchlist: starred cards pinned under their own heading above Active IPOs ----
+  function loadWatchlist(){
+    try { watchlist = JSON.parse(localStorage.getItem(WATCH_KEY)) || {}; }
+    catch (e) { watchlist = {}; }
+  }
+
+  function saveWatchlist(){
+    try { localStorage.setItem(WATCH_KEY, JSON.stringify(watchlist)); }
+    catch (e) { /* private mode / quota: the stars just won't stick */ }
+  }
+
+  const cardGmp = c => c.dataset.gmp === '' ? null : Number(c.dataset.gmp);
+
+  // Remember the GMP each watched card shows. On the first page view of a
+  // visit the previous visit's value becomes the baseline for the delta.
+  function recordSeen(newVisit){
+    qsa('#gmp-cards .ipo-card').forEach(c => {
+      const w = watchlist[c.dataset.slug];
+      if (!w) return;
+      if (newVisit) w.base = w.seen;
+      w.seen = cardGmp(c);
+    });
+    saveWatchlist();
+  }
+
+  function isNewVisit(){
+    try {
+      if (sessionStorage.getItem(VISIT_KEY)) return false;
+      sessionStorage.setItem(VISIT_KEY, '1');
+    } catch (e) { /* no sessionStorage: treat every load as a visit */ }
+    return true;
+  }
+
+  function decorateCard(c){
+    const w = watchlist[c.dataset.slug];
+    let btn = qs('.watch-btn', c);
+    if (!btn) {
+      btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'watch-btn';
+      qs('.col-link', c).prepend(btn);
+    }
+    btn.textContent = w ? '★' : '☆';
+    btn.classList.toggle('watching', !!w);
+    btn.setAttribute('aria-pressed', w ? 'true' : 'false');
+    btn.title = w ? 'Remove from watchlist' : 'Add to watchlist';
+
+    const old = qs('.watch-delta', c);
+    if (old) old.remove();
+    const now = cardGmp(c);
+    if (!w || typeof w.base !== 'number' || now === null || now === w.base) return;
+    const d = Math.round((now - w.base) * 100) / 100;
+    const span = document.createElement('span');
+    span.className = `watch-delta ${d > 0 ? 'gmp-up' : 'gmp-down'}`;
+    span.textContent = `${d > 0 ? '▲' : '▼'} ₹${Math.abs(d)} since last visit`;
+    qs('.gmp-row', c).append(span);
+  }
+
+  function homeHeading(card){
+    const group = card.dataset.status === 'listed' ? 'closed' : card.dataset.status;
+    const title = GROUP_TITLES[group] || GROUP_TITLES.upcoming;
+    return qsa('#gmp-cards .section-heading:not(.watch-heading)').find(h => h.textContent === title);
+  }
+
+  // Starred cards move under the Watchlist heading, unstarred ones go back
+  // to their status section; sortCards() then orders each section.
+  function layoutWatchlist(){
+    const box = qs('#gmp-cards');
+    if (!box) return;
+    const cards = qsa('.ipo-card', box);
+    const watched = cards.filter(c => watchlist[c.dataset.slug]);
+    let heading = qs('.watch-heading', box);
+    if (watched.length && !heading) {
+      heading = document.createElement('h3');
+      heading.className = 'section-heading watch-heading';
+      heading.textContent = 'Watchlist';
+      box.prepend(heading);
+    }
+    cards.forEach(c => {
+      if (watchlist[c.dataset.slug] || !c.classList.contains('watched')) return;
+      c.classList.remove('watched');
+      const home = homeHeading(c);
+      if (home) home.after(c); else box.append(c);
+    });
+    let anchor = heading;
+    watched.forEach(c => { c.classList.add('watched'); anchor.after(c); anchor = c; });
+    if (heading && !watched.length) heading.remove();
+    cards.forEach(decorateCard);
+  }
+
+  function toggleWatch(card){
+    const slug = card.dataset.slug;
+    if (watchlist[slug]) delete watchlist[slug];
+    else watchlist[slug] = { seen: cardGmp(card), base: cardGmp(card) };
+    saveWatchlist();
+    layoutWatchlist();
+    sortCards();
+    applyFilters();
+  }
+
+  // The page only has each section's top MAX_PER_GROUP cards; a starred IPO
+  // ranked below that is rendered from the full rows in gmp.json.
+  function fillWatchlist(){
+    const shown = new Set(qsa('#gmp-cards .ipo-card').map(c => c.dataset.slug));
+    if (canRender() && Object.keys(watchlist).some(slug => !shown.has(slug))) refreshData(true);
+  }
+
+  function setupWatchlist(){
+    const box = qs('#gmp-cards');
+    if (!box) return;
+    loadWatchlist();
+    recordSeen(isNewVisit());
+    layoutWatchlist();
+    sortCards();
+    box.addEventListener('click', (e) => {
+      const btn = e.target.closest('.watch-btn');
+      if (btn) toggleWatch(btn.closest('.ipo-card'));
+    });
+    fillWatchlist();
+    // stars changed in another tab
+    window.addEventListener('storage', (e) => {
+      if (e.key !== WATCH_KEY) return;
+      loadWatchlist();
+      layoutWatchlist();
+      sortCards();
+      applyFilters();
+    });
+  }
+
+  function msUntilNextRun(now){
+    const next = new Date(now);
+    // the workflow cron runs at :30 UTC; in half-hour-offset zones (IST is
+    // +5:30) that is :00 local, so the arithmetic has to stay in UTC
+    next.setUTCMinutes(30,0,0);
+    if (next <= now) next.setUTCHours(next.getUTCHours()+1);
+    return next - now;
   }
 
   function setupNextRun() {
     const el = qs('#gmp-next-run');
     if (!el) return;
     function tick() {
-      const now = new Date();
-      const next = new Date(now);
-      next.setMinutes(30,0,0);                       // workflow runs at :30
-      if (next <= now) next.setHours(next.getHours()+1);
-      const diff = next - now;
+      const diff = msUntilNextRun(new Date());
       const mins = Math.floor(diff / 60000);
       const secs = Math.floor((diff % 60000) / 1000);
       el.textContent = `${String(mins).padStart(2,'0')}m ${String(secs).padStart(2,'0')}s`;
@@ -110,6 +347,160 @@
     setInterval(tick, 1000);
   }
 
+  // ---- live refresh: cards are clones of <template id="gmp-card-template">,
+  // which build_gmp.js renders from templates/card.html with every optional
+  // part present; fields left empty for a row drop their line ----
+  const OPTIONAL_FIELDS = ['lotSize', 'sources', 'subscription', 'note'];
+
+  function cardNode(tpl, r){
+    const card = tpl.content.firstElementChild.cloneNode(true);
+    const g = gmpLabelAndClass(r);
+    const fields = {
+      ipo: r.ipo, gmp: g.label, status: r.status[0].toUpperCase() + r.status.slice(1), date: r.date || '—',
+      price: r.price ? (r.price.startsWith('₹') ? r.price : '₹' + r.price) : '—',
+      listing: listingLabel(r) || '—', lotSize: r.lotSize, type: r.type || '—',
+      sources: r.sources ? sourcesLine(r) : '', subscription: r.subscription ? subscriptionLine(r) : '', note: r.note,
+    };
+    qsa('[data-field]', card).forEach(el => {
+      const v = fields[el.dataset.field];
+      if (OPTIONAL_FIELDS.includes(el.dataset.field) && !v) el.parentElement.remove();
+      else el.textContent = v;
+    });
+    Object.assign(card.dataset, {
+      status: r.status, type: r.type.toLowerCase() === 'sme' ? 'sme' : 'mainboard', slug: r.slug, name: r.ipo,
+      gmp: r.gmp ?? '', gain: r.listingGainPct ?? '', open: r.openDate || '',
+    });
+    if (!r.pinned) { delete card.dataset.pinned; qs('.ipo-pinned', card).remove(); }
+    if (r.disputed) qs('.gmp-disputed', card).title = `Sources disagree: ${sourcesLine(r)}`;
+    else qs('.gmp-disputed', card).remove();
+    qs('.gmp-value', card).classList.add(g.cls);
+    qs('.badge', card).classList.add(r.status);
+    const link = qs('.ipo-link', card);
+    link.setAttribute('href', `/ipo/${r.slug}`);
+    link.title = `Open ${r.ipo} page`;
+    return card;
+  }
+
+  // section headings and cards in buildWrapper's order, every starred row
+  // under Watchlist (not just the ones that made their section's cut)
+  function cardNodes(tpl, rows){
+    return groupRows(rows, r => watchlist[r.slug]).filter(g => g.rows.length).flatMap(g => {
+      const h = document.createElement('h3');
+      h.className = g.key === 'watch' ? 'section-heading watch-heading' : 'section-heading';
+      h.textContent = g.title;
+      const cards = g.rows.map(r => cardNode(tpl, r));
+      if (g.key === 'watch') cards.forEach(c => c.classList.add('watched'));
+      return [h, ...cards];
+    });
+  }
+
+  // Swap in fresh cards, keeping filters/sort/search and expanded cards;
+  // GMP values that moved since the page loaded get a highlight.
+  function renderData(data){
+    const box = qs('#gmp-cards');
+    const before = {}, expanded = new Set();
+    qsa('.ipo-card', box).forEach(c => {
+      before[c.dataset.slug] = c.dataset.gmp;
+      if (c.classList.contains('expanded')) expanded.add(c.dataset.slug);
+    });
+    box.replaceChildren(...cardNodes(qs('#gmp-card-template'), data.rows));
+    setRenderedRows(data.rows);
+    qsa('.ipo-card', box).forEach(c => {
+      if (expanded.has(c.dataset.slug)) toggleCard(c);
+      const was = before[c.dataset.slug];
+      if (was !== undefined && was !== c.dataset.gmp) {
+        const v = qs('.gmp-value', c);
+        v.classList.add('gmp-changed');
+        v.title = `Was ${was === '' ? '—' : '₹' + was}`;
+      }
+    });
+    const meta = qs('#gmp-meta');
+    meta.dataset.updated = data.updatedIso;
+    meta.dataset.source = data.source || '';
+    const note = qs('#gmp-stale-note');
+    if (note) note.style.display = 'none';
+    recordSeen(false);
+    layoutWatchlist();
+    sortCards();
+    applyFilters();
+  }
+
+  // resolves true when new data was rendered; force re-renders unchanged data
+  function refreshData(force){
+    const meta = qs('#gmp-meta');
+    return fetch('/gmp.json', { cache: 'no-store' })
+      .then(res => res.ok ? res.json() : null)
+      .then(data => {
+        if (!data || !Array.isArray(data.rows) || !data.updatedIso) return false;
+        if (!force && data.updatedIso === meta.dataset.updated) return false;
+        renderData(data);
+        return true;
+      })
+      .catch(() => false);
+  }
+
+  // pages built before the card template existed keep their server-rendered cards
+  const canRender = () => qs('#gmp-cards') && qs('#gmp-meta') && qs('#gmp-card-template') && window.fetch;
+
+  function setupLiveRefresh(){
+    if (!canRender()) return;
+    function schedule(){
+      const sinceRun = (60 * 60 * 1000 - msUntilNextRun(new Date())) / 60000; // minutes past the last :30
+      const wait = REFRESH_AFTER_RUN_MIN.find(m => m > sinceRun);
+      const ms = (wait !== undefined ? wait - sinceRun : 60 - sinceRun + REFRESH_AFTER_RUN_MIN[0]) * 60000;
+      setTimeout(() => refreshData().then(schedule), ms);
+    }
+    schedule();
+    // background tabs throttle timers; catch up when the user comes back
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') refreshData();
+    });
+  }
+
+  // ---- CSV of visible rows: same columns as gmp.csv ----
+  // rows behind the cards on the page: build_gmp.js's <script id="gmp-rows">,
+  // then whatever renderData() last drew
+  let renderedRows = {};
+  function setRenderedRows(rows){
+    renderedRows = {};
+    rows.forEach(r => { renderedRows[r.slug] = r; });
+  }
+
+  function loadRenderedRows(){
+    const el = qs('#gmp-rows');
+    try { setRenderedRows(el ? JSON.parse(el.textContent) : []); }
+    catch (e) { setRenderedRows([]); }
+  }
+
+  // every card the filters/search let through (lazy-hidden ones included), in page order
+  function visibleRows(){
+    return qsa('#gmp-cards .ipo-card').filter(matches).map(c => renderedRows[c.dataset.slug]).filter(Boolean);
+  }
+
+  function downloadCsv(text, name){
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/csv;charset=utf-8' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.append(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function setupCsvExport(){
+    const btn = qs('#gmp-csv-visible');
+    // pages built before #gmp-rows existed only offer the full gmp.csv
+    if (!btn || !qs('#gmp-rows') || !window.Blob) return;
+    loadRenderedRows();
+    btn.hidden = false;
+    btn.addEventListener('click', () => {
+      const meta = qs('#gmp-meta');
+      const day = ((meta && meta.dataset.updated) || new Date().toISOString()).slice(0, 10);
+      downloadCsv(toCsv(visibleRows()), `livegmp-${day}.csv`);
+    });
+  }
+
   function setupStaleNote(){
     const meta = qs('#gmp-meta');
     const note = qs('#gmp-stale-note');
@@ -121,10 +512,15 @@
   }
 
   document.addEventListener('DOMContentLoaded', () => {
+    readUrlState();
+    syncControls();
+    setupWatchlist();                                // pins starred cards and sorts
     setupCardClicks();
     applyLazyLoad();
     setupFilters();
     setupNextRun();
+    setupCsvExport();
     setupStaleNote();
+    setupLiveRefresh();
   });
 })();
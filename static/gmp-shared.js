@@ -0,0 +1,93 @@
+// static/gmp-shared.js — the card labels, section order and CSV layout that
+// build_gmp.js renders with and gmp-client.js re-renders with. Node requires
+// it; the homepage loads it before gmp-client.js as window.LiveGMP.
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.LiveGMP = factory();
+})(this, function(){
+  const MAX_PER_GROUP = 10;          // cards per Active/Upcoming/Closed section
+  const GROUPS = [['active', 'Active IPOs'], ['upcoming', 'Upcoming IPOs'], ['closed', 'Closed / Listed']];
+
+  function gmpLabelAndClass(r){
+    if (r.gmp === null) return { label: '—', cls: 'gmp-neutral' };
+    if (r.gmp > 0) return { label: `▲ ${r.gmp}`, cls: 'gmp-up' };
+    if (r.gmp < 0) return { label: `▼ ${Math.abs(r.gmp)}`, cls: 'gmp-down' };
+    return { label: '0', cls: 'gmp-neutral' };
+  }
+
+  // "ipowatch ₹50 · ipowala ₹80" — per-source GMPs behind a merged row.
+  const sourcesLine = r => Object.entries(r.sources || {})
+    .map(([name, gmp]) => `${name} ${gmp === null ? '—' : '₹' + gmp}`).join(' · ');
+
+  const timesLabel = n => n === null || n === undefined ? '—' : `${n}x`;
+  const shortDay = iso => new Date(Date.parse(iso)).toLocaleDateString('en-GB', { timeZone: 'UTC', day: 'numeric', month: 'short' });
+
+  // "Total 12.4x · QIB 20.1x · NII 15.3x · Retail 8.2x (22 Aug)", latest day
+  function subscriptionLine(r){
+    const d = r.subscription[r.subscription.length - 1];
+    const parts = [`Total ${timesLabel(d.total)}`];
+    for (const [k, label] of [['qib', 'QIB'], ['nii', 'NII'], ['retail', 'Retail'], ['employee', 'Employee']]) {
+      if (d[k] !== null && d[k] !== undefined) parts.push(`${label} ${timesLabel(d[k])}`);
+    }
+    return `${parts.join(' · ')} (${shortDay(d.day)})`;
+  }
+
+  // Source's listing text when it carries a price, else our price+GMP estimate.
+  function listingLabel(r){
+    const has = v => v !== null && v !== undefined;
+    if (r.listing && has(r.listingPrice)) return r.listing;
+    if (has(r.listingPrice)) return `₹${r.listingPrice}${has(r.listingGainPct) ? ` (${r.listingGainPct.toFixed(2)}%)` : ''}`;
+    return r.listing;
+  }
+
+  function byGmp(a, b){
+    if (!a.pinned !== !b.pinned) return a.pinned ? -1 : 1; // editorial pins lead their section
+    if (a.gmp === null && b.gmp === null) return a.ipo.localeCompare(b.ipo);
+    if (a.gmp === null) return 1;
+    if (b.gmp === null) return -1;
+    return b.gmp - a.gmp;
+  }
+
+  // -> [{ key, title, rows }] for the homepage, each section best GMP first.
+  // Rows isWatched() picks lead under "Watchlist"; they are taken from all
+  // rows before the status sections are cut to MAX_PER_GROUP.
+  function groupRows(rows, isWatched = () => false){
+    const watched = [], groups = { active: [], upcoming: [], closed: [] };
+    rows.forEach(r => {
+      if (isWatched(r)) watched.push(r);
+      else (groups[r.status === 'listed' ? 'closed' : r.status] || groups.upcoming).push(r);
+    });
+    const sections = GROUPS.map(([key, title]) => ({ key, title, rows: groups[key].sort(byGmp).slice(0, MAX_PER_GROUP) }));
+    return watched.length ? [{ key: 'watch', title: 'Watchlist', rows: watched.sort(byGmp) }, ...sections] : sections;
+  }
+
+  // gmp.csv and the homepage's "CSV of visible rows": UTF-8 with a BOM and
+  // CRLF rows so Excel opens them with ₹ intact.
+  const CSV_COLUMNS = [
+    ['IPO', 'ipo'], ['Slug', 'slug'], ['Type', 'type'], ['Status', 'status'],
+    ['GMP (₹)', 'gmp'], ['Price band', 'price'], ['Price low (₹)', 'priceLow'], ['Price high (₹)', 'priceHigh'],
+    ['Est. listing (₹)', 'listingPrice'], ['Est. gain (%)', 'listingGainPct'],
+    ['Lot size', 'lotSize'], ['Issue size (₹ cr)', 'issueSize'], ['Dates', 'date'],
+    ['Open', 'openDate'], ['Close', 'closeDate'], ['Allotment', 'allotmentDate'], ['Listing', 'listingDate'],
+    ['Disputed', 'disputed'],
+  ];
+
+  function csvCell(v){
+    if (v === null || v === undefined) return '';
+    let s = String(v);
+    // a text cell starting with = + - @ would run as a formula in Excel
+    if (typeof v === 'string' && /^[=+\-@]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function toCsv(records, columns = CSV_COLUMNS){
+    const lines = [columns.map(([h]) => csvCell(h)).join(',')]
+      .concat(records.map(rec => columns.map(([, k]) => csvCell(rec[k])).join(',')));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  return {
+    MAX_PER_GROUP, GROUPS, gmpLabelAndClass, sourcesLine, timesLabel, shortDay, subscriptionLine, listingLabel,
+    byGmp, groupRows, CSV_COLUMNS, csvCell, toCsv,
+  };
+});
@@ -0,0 +1,989 @@
+// test/build_gmp.test.js — offline tests for the scrape/parse/validate pipeline.
+// Run: npm test   (node --test; no network, fixtures in test/fixtures/)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { load } = require("cheerio");
+const b = require("../scripts/build_gmp.js");
+
+const fixture = name => fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+// epoch ms for a wall-clock time in IST
+const ist = (y, mo, d, h = 12, mi = 0) => Date.UTC(y, mo - 1, d, h, mi) - 5.5 * 3600 * 1000;
+const NOW = ist(2026, 8, 22); // fixtures are dated around 22 August 2026
+
+// validateAndNormalize logs every dropped row; keep test output readable
+test.beforeEach(() => { test.mock.method(console, "log", () => {}); });
+test.afterEach(() => { test.mock.restoreAll(); });
+
+test("parseGmpNumber: numbers, explicit blanks and junk", () => {
+  assert.deepEqual(b.parseGmpNumber("₹58"), { n: 58, blank: false });
+  assert.deepEqual(b.parseGmpNumber(" ₹1,200 "), { n: 1200, blank: false });
+  assert.deepEqual(b.parseGmpNumber("-5"), { n: -5, blank: false });
+  assert.deepEqual(b.parseGmpNumber("₹0"), { n: 0, blank: false });
+  for (const blank of ["₹-", "-", "–", "₹ —"]) {
+    assert.equal(b.parseGmpNumber(blank).blank, true, blank);
+  }
+  for (const junk of ["", "N/A", "junk", "+"]) {
+    const r = b.parseGmpNumber(junk);
+    assert.ok(Number.isNaN(r.n) && !r.blank, junk);
+  }
+});
+
+test("parsePriceBand / parseListing / lot and issue size", () => {
+  assert.deepEqual(b.parsePriceBand("₹786"), { priceLow: 786, priceHigh: 786 });
+  assert.deepEqual(b.parsePriceBand("₹95 to ₹100"), { priceLow: 95, priceHigh: 100 });
+  assert.deepEqual(b.parsePriceBand("₹1,140-1,200"), { priceLow: 1140, priceHigh: 1200 });
+  assert.deepEqual(b.parsePriceBand("₹-"), { priceLow: null, priceHigh: null });
+  assert.deepEqual(b.parseListing("₹328 (21.48%)"), { listingPrice: 328, listingGainPct: 21.48 });
+  assert.deepEqual(b.parseListing("₹95 (-5%)"), { listingPrice: 95, listingGainPct: -5 });
+  assert.deepEqual(b.parseListing("21.48%"), { listingPrice: null, listingGainPct: 21.48 });
+  assert.deepEqual(b.parseListing("₹- (0.00%)"), { listingPrice: null, listingGainPct: null });
+  assert.equal(b.parseLotSize("1,600 Shares"), 1600);
+  assert.equal(b.parseIssueSize("₹45.50 Cr"), 45.5);
+  assert.equal(b.parseIssueSize("₹850 Lakh"), 8.5);
+  assert.equal(b.parseLotSize(""), null);
+});
+
+test("computeStatusFromDate: plain ranges against an injected clock", () => {
+  assert.equal(b.computeStatusFromDate("21-25 August", NOW), "active");
+  assert.equal(b.computeStatusFromDate("27-31 August", NOW), "upcoming");
+  assert.equal(b.computeStatusFromDate("17-19 August", NOW), "closed");
+  assert.equal(b.computeStatusFromDate("Aug 22", NOW), "active");
+  assert.equal(b.computeStatusFromDate("TBA", NOW), "upcoming");
+  assert.equal(b.computeStatusFromDate("", NOW), "upcoming");
+});
+
+test("computeStatusFromDate: opens 10:00 and closes 17:00 IST", () => {
+  assert.equal(b.computeStatusFromDate("21-25 August", ist(2026, 8, 21, 9, 59)), "upcoming");
+  assert.equal(b.computeStatusFromDate("21-25 August", ist(2026, 8, 21, 10, 0)), "active");
+  assert.equal(b.computeStatusFromDate("21-25 August", ist(2026, 8, 25, 16, 59)), "active");
+  assert.equal(b.computeStatusFromDate("21-25 August", ist(2026, 8, 25, 17, 1)), "closed");
+});
+
+test("computeStatusFromDate: bare-day ranges roll over month boundaries", () => {
+  // "30-2 July" = 30 June .. 2 July
+  assert.equal(b.computeStatusFromDate("30-2 July", ist(2026, 6, 30)), "active");
+  assert.equal(b.computeStatusFromDate("30-2 July", ist(2026, 6, 29)), "upcoming");
+  assert.equal(b.computeStatusFromDate("30-2 July", ist(2026, 7, 3)), "closed");
+  // "29 August-2" = 29 August .. 2 September
+  assert.equal(b.computeStatusFromDate("29 August-2", ist(2026, 9, 1)), "active");
+  assert.equal(b.computeStatusFromDate("29 August – 2", ist(2026, 9, 3)), "closed");
+  // numeric and "to" forms
+  assert.equal(b.computeStatusFromDate("20/08/2026 to 22/08/2026", NOW), "active");
+});
+
+test("resolveDateRange: ISO dates with the year nearest to now", () => {
+  assert.deepEqual(b.resolveDateRange("21-25 August", NOW), { openDate: "2026-08-21", closeDate: "2026-08-25" });
+  assert.deepEqual(b.resolveDateRange("30-2 July", NOW), { openDate: "2026-06-30", closeDate: "2026-07-02" });
+  // December-January windows, read on either side of New Year
+  assert.deepEqual(b.resolveDateRange("29 Dec-2 Jan", ist(2026, 12, 30)), { openDate: "2026-12-29", closeDate: "2027-01-02" });
+  assert.deepEqual(b.resolveDateRange("29 Dec-2 Jan", ist(2027, 1, 2)), { openDate: "2026-12-29", closeDate: "2027-01-02" });
+  assert.deepEqual(b.resolveDateRange("30-2 January", ist(2027, 1, 5)), { openDate: "2026-12-30", closeDate: "2027-01-02" });
+  // an old December row still on the page after New Year stays in last year
+  assert.deepEqual(b.resolveDateRange("17-19 December", ist(2027, 1, 10)), { openDate: "2026-12-17", closeDate: "2026-12-19" });
+  // explicit years win
+  assert.deepEqual(b.resolveDateRange("20/08/2025 to 22/08/2025", NOW), { openDate: "2025-08-20", closeDate: "2025-08-22" });
+  assert.deepEqual(b.resolveDateRange("12-11-2025 to 14-11-2025", NOW), { openDate: "2025-11-12", closeDate: "2025-11-14" });
+  assert.deepEqual(b.resolveDateRange("12-11-2025 – 14/11/2025", NOW), { openDate: "2025-11-12", closeDate: "2025-11-14" });
+  assert.deepEqual(b.resolveDateRange("12-11-2025", NOW), { openDate: "2025-11-12", closeDate: "2025-11-12" });
+  assert.deepEqual(b.resolveDateRange("TBA", NOW), { openDate: null, closeDate: null });
+});
+
+test("statusFromDates: listed after the listing date (or T+3 working days)", () => {
+  const d = { openDate: "2026-08-17", closeDate: "2026-08-19", allotmentDate: null, listingDate: null };
+  assert.equal(b.addWorkingDays("2026-08-21", 3), "2026-08-26"); // Fri -> Wed, weekend skipped
+  assert.equal(b.statusFromDates(d, ist(2026, 8, 24, 9, 59)), "closed");
+  assert.equal(b.statusFromDates(d, ist(2026, 8, 24, 10, 0)), "listed");
+  assert.equal(b.statusFromDates({ ...d, listingDate: "2026-08-28" }, ist(2026, 8, 25)), "closed");
+  assert.equal(b.statusFromDates({ ...d, listingDate: "2026-08-28" }, ist(2026, 8, 28, 10)), "listed");
+  assert.equal(b.resolveSingleDate("Tue, Aug 25, 2026", "2026-08-19"), "2026-08-25");
+  assert.equal(b.resolveSingleDate("2 Jan", "2026-12-30"), "2027-01-02");
+});
+
+test("carryForwardDates: a seen date text keeps its resolved year", () => {
+  const old = [{ ipo: "Winter Co", slug: "winter-co", date: "29 Dec-2 Jan", openDate: "2026-12-29", closeDate: "2027-01-02", listingDate: "2027-01-07" }];
+  const fresh = [{ ipo: "Winter Co", slug: "winter-co", date: "29 Dec-2 Jan", openDate: "2027-12-29", closeDate: "2028-01-02", allotmentDate: null, listingDate: null, status: "upcoming" }];
+  const [r] = b.carryForwardDates(fresh, old, ist(2027, 7, 1));
+  assert.equal(r.openDate, "2026-12-29");
+  assert.equal(r.listingDate, "2027-01-07");
+  assert.equal(r.status, "listed");
+  const moved = [{ ...fresh[0], date: "5-7 January", openDate: "2027-01-05", closeDate: "2027-01-07" }];
+  assert.equal(b.carryForwardDates(moved, old, ist(2027, 1, 1))[0].openDate, "2027-01-05");
+});
+
+test("mapHeaders: synonyms map to canonical fields, first match wins", () => {
+  const map = b.mapHeaders(["Current IPOs", "IPO GMP", "IPO Price", "Listing Gain", "Date", "Type"]);
+  assert.deepEqual(map, { ipo: 0, gmp: 1, price: 2, listing: 3, date: 4, type: 5 });
+  const map2 = b.mapHeaders(["Company", "Premium", "Issue Price", "Kostak", "Open - Close", "Exchange"]);
+  assert.deepEqual(map2, { ipo: 0, gmp: 1, price: 2, date: 4, type: 5 });
+});
+
+test("scoreTable: live table outscores a longer history table", () => {
+  const $ = load(fixture("ipowatch.html"));
+  const [live, history] = $("table").toArray().map(t => b.scoreTable($, $(t)));
+  assert.ok(live.ok && history.ok);
+  assert.ok(history.rows > live.rows, "fixture history table should be longer");
+  assert.ok(live.score > history.score);
+});
+
+test("scoreTable: tables without IPO+GMP headers are rejected", () => {
+  const $ = load("<table><tr><th>Broker</th><th>Rating</th></tr><tr><td>X</td><td>5</td></tr></table>");
+  assert.equal(b.scoreTable($, $("table").first()).ok, false);
+  assert.throws(() => b.parseSourceHtml($.html()), /no table with recognizable/);
+});
+
+for (const [name, expected] of [["ipowatch", 12], ["ipowala", 12], ["chanakya", 12]]) {
+  test(`fixture ${name}: its adapter parses and validates the live table`, () => {
+    const adapter = b.SOURCES.find(s => s.name === name);
+    const raw = adapter.parse(fixture(`${name}.html`));
+    const rows = b.validateAndNormalize(raw, name, NOW);
+    assert.equal(rows.length, expected);
+    const augmont = rows.find(r => r.slug === "augmont-enterprises");
+    assert.ok(augmont, "Augmont row present");
+    assert.equal(augmont.gmp, 380);
+    assert.equal(augmont.status, "active");
+    assert.equal(augmont.type, "SME");
+    const shiprocket = rows.find(r => r.slug === "shiprocket");
+    assert.equal(shiprocket.type, "Mainboard");
+    assert.equal(shiprocket.status, "closed");
+    assert.equal(shiprocket.openDate, "2026-08-19");
+    assert.equal(shiprocket.closeDate, "2026-08-21");
+  });
+}
+
+test("validateAndNormalize: listing is estimated from price + GMP when missing", () => {
+  const rows = b.validateAndNormalize(b.SOURCES.find(s => s.name === "chanakya").parse(fixture("chanakya.html")), "chanakya", NOW);
+  const augmont = rows.find(r => r.slug === "augmont-enterprises");
+  assert.equal(augmont.listing, ""); // chanakya has no listing column
+  assert.equal(augmont.priceHigh, 786);
+  assert.equal(augmont.listingPrice, 1166);
+  assert.equal(augmont.listingGainPct, 48.35);
+  const rays = rows.find(r => r.slug === "rays-of-belief");
+  assert.equal(rays.listingPrice, null);
+});
+
+test("adapters: per-source header map and selector override the defaults", () => {
+  const { createAdapter, HEADER_MAP } = require("../scripts/sources/generic");
+  const html = `
+    <table id="other"><tr><th>IPO</th><th>GMP</th><th>Price</th><th>Date</th><th>Type</th></tr>
+      <tr><td>Wrong Table</td><td>1</td><td>10</td><td>1-3 May</td><td>SME</td></tr></table>
+    <table id="live"><tr><th>Issuer</th><th>GMP</th></tr>
+      <tr><td>Right Table</td><td>₹5</td></tr></table>`;
+  assert.equal(b.parseSourceHtml(html)[0].ipo, "Wrong Table");
+  const adapter = createAdapter({
+    name: "custom", url: "https://example.invalid/",
+    selector: "#live",
+    headerMap: [{ field: "ipo", keys: ["issuer"] }, ...HEADER_MAP.filter(h => h.field !== "ipo")],
+  });
+  assert.deepEqual(adapter.parse(html).map(r => [r.ipo, r.gmpRaw]), [["Right Table", "₹5"]]);
+  const custom = createAdapter({ name: "list", url: "https://example.invalid/", parse: () => [{ ipo: "X" }] });
+  assert.equal(custom.parse("")[0].ipo, "X");
+  assert.throws(() => createAdapter({ name: "no-url" }), /name and url/);
+});
+
+test("validateAndNormalize: explicit blank GMP is kept as null", () => {
+  const rows = b.validateAndNormalize(b.parseSourceHtml(fixture("ipowatch.html")), "ipowatch", NOW);
+  const rays = rows.find(r => r.slug === "rays-of-belief");
+  assert.equal(rays.gmp, null);
+  assert.equal(rays.gmpRaw, "₹-");
+});
+
+const row = (ipo, gmpRaw = "₹10", date = "21-25 August") =>
+  ({ ipo, gmpRaw, price: "₹100", listing: "", date, type: "SME", status: "", updated: "" });
+const rowsOf = n => Array.from({ length: n }, (_, i) => row(`Company ${String.fromCharCode(65 + i)}`));
+
+test("validateAndNormalize: rejects sources below MIN_ROWS", () => {
+  assert.throws(() => b.validateAndNormalize(rowsOf(b.MIN_ROWS - 1), "src", NOW), /only \d+ valid rows/);
+  assert.equal(b.validateAndNormalize(rowsOf(b.MIN_ROWS), "src", NOW).length, b.MIN_ROWS);
+  assert.throws(() => b.validateAndNormalize([{ ipo: "" }], "src", NOW), /0 data rows/);
+});
+
+test("validateAndNormalize: rejects sources below MIN_VALID_RATIO", () => {
+  const good = rowsOf(10);
+  const bad = Array.from({ length: 5 }, (_, i) => row(`Broken ${i}`, "N/A"));
+  assert.throws(() => b.validateAndNormalize([...good, ...bad], "src", NOW), /valid ratio 0\.67/);
+  assert.equal(b.validateAndNormalize([...good, ...bad.slice(0, 4)], "src", NOW).length, 10);
+});
+
+test("validateAndNormalize: dedupes by slug, keeping the first (live) row", () => {
+  const rows = [...rowsOf(8), row("Company A IPO", "₹99")];
+  const out = b.validateAndNormalize(rows, "src", NOW);
+  assert.equal(out.length, 8);
+  assert.equal(out.find(r => r.slug === "company-a").gmp, 10);
+});
+
+test("validateAndNormalize: date math beats a lagging Status column", () => {
+  const rows = rowsOf(8).map(r => ({ ...r, status: "Upcoming" }));
+  assert.ok(b.validateAndNormalize(rows, "src", NOW).every(r => r.status === "active"));
+  const tba = rowsOf(8).map(r => ({ ...r, date: "TBA", status: "Closed" }));
+  assert.ok(b.validateAndNormalize(tba, "src", NOW).every(r => r.status === "closed"));
+});
+
+test("feedEvents: new IPOs, status changes and GMP moves past the threshold", () => {
+  const r = (slug, gmp, status) => ({ ipo: slug, slug, gmp, status, price: "₹100", listing: "", date: "", type: "SME" });
+  const old = [r("steady", 50, "active"), r("opening", 20, "upcoming"), r("jumping", 30, "active"), r("drifting", 30, "active")];
+  const now = [r("steady", 50, "active"), r("opening", 20, "active"), r("jumping", 45, "active"), r("drifting", 35, "active"), r("fresh", null, "upcoming")];
+  const ev = b.feedEvents(old, now).map(e => `${e.kind}:${e.row.slug}`);
+  assert.deepEqual(ev, ["status:opening", "gmp:jumping", "new:fresh"]);
+  const item = b.feedItem(b.feedEvents(old, now)[1], "2026-08-22T07:00:00.000Z");
+  assert.equal(item.url, "https://livegmp.in/ipo/jumping/");
+  assert.equal(item.title, "jumping GMP up to ₹45 (was ₹30)");
+});
+
+test("rollFeedItems / atomFeed: rolling window, newest first, escaped XML", () => {
+  const it = (id, t) => ({ id, url: "https://livegmp.in/ipo/a/", title: `A & B ${id}`, content_text: "<x>",
+    date_published: new Date(t).toISOString(), tags: ["gmp"] });
+  const items = b.rollFeedItems([it("n", NOW)], [it("old", NOW - 30 * 86400000), it("y", NOW - 86400000), it("n", NOW)], NOW);
+  assert.deepEqual(items.map(i => i.id), ["n", "y"]);
+  const xml = b.atomFeed(items, new Date(NOW).toISOString());
+  assert.match(xml, /<title>A &amp; B n<\/title>/);
+  assert.match(xml, /<summary>&lt;x&gt;<\/summary>/);
+  assert.equal(b.jsonFeed(items).version, "https://jsonfeed.org/version/1.1");
+});
+
+test("notifyEvents: new, listed, GMP jumps and open/close-day reminders", () => {
+  const r = (slug, gmp, status, extra = {}) => ({ ipo: slug, slug, gmp, status, price: "₹100", date: "", type: "SME", ...extra });
+  const old = [r("up", 40, "active"), r("flat", 40, "active"), r("zero", 0, "upcoming"), r("lists", 10, "closed")];
+  const rows = [
+    r("up", 50, "active"), r("flat", 44, "active", { closeDate: "2026-08-22" }),
+    r("zero", 30, "active", { openDate: "2026-08-22" }), r("lists", 10, "listed"), r("fresh", null, "upcoming"),
+  ];
+  const events = b.notifyEvents(old, rows, NOW);
+  assert.deepEqual(events.map(e => `${e.kind}:${e.slug}`),
+    ["gmp-jump:up", "closing:flat", "opening:zero", "listed:lists", "new:fresh"]);
+  assert.equal(events[0].pct, 25);
+  assert.equal(events[1].key, "closing:flat:2026-08-22");
+  assert.deepEqual(b.notifyEvents(null, rows, NOW).map(e => e.kind), ["closing", "opening"]);
+});
+
+test("apiCollection / apiIpo: shared envelope, filtered rows", () => {
+  const rows = b.validateAndNormalize(b.parseSourceHtml(fixture("ipowatch.html")), "ipowatch", NOW);
+  const payload = { updatedIso: "2026-08-22T06:30:00.000Z", source: "ipowatch" };
+  const active = b.apiCollection(rows, "active", payload);
+  assert.equal(active.schemaVersion, "1.0");
+  assert.equal(active.updatedIso, payload.updatedIso);
+  assert.equal(active.source, "ipowatch");
+  assert.ok(active.count > 0 && active.rows.every(r => r.status === "active"));
+  const sme = b.apiCollection(rows, "sme", payload), main = b.apiCollection(rows, "mainboard", payload);
+  assert.equal(sme.count + main.count, b.apiCollection(rows, "ipos", payload).count);
+  const doc = b.apiIpo(rows[0], { points: [{ t: payload.updatedIso, gmp: rows[0].gmp }] }, payload);
+  assert.equal(doc.ipo.slug, rows[0].slug);
+  assert.equal(doc.history.length, 1);
+});
+
+test("api/v1/schema.json: generated documents validate, with every row field documented", () => {
+  const schema = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "api/v1/schema.json"), "utf8"));
+  // strict copy: a field the build emits but the schema doesn't describe fails
+  const strict = JSON.parse(JSON.stringify(schema));
+  for (const def of ["ipo", "outcome", "subscriptionDay", "historyPoint"]) strict.$defs[def].additionalProperties = false;
+  strict.$defs.ipo.properties.registrar.additionalProperties = false;
+
+  const rows = b.validateAndNormalize(b.parseSourceHtml(fixture("ipowatch.html")), "ipowatch", NOW);
+  b.attachOutcomes(rows, { [rows[0].slug]: { ipo: rows[0].ipo, issuePrice: 100, gmp: 20, estimate: 120, actual: 118, errorPct: 1.69, bySource: {}, via: "source" } });
+  Object.assign(rows[1], { sources: { ipowatch: 12, ipowala: null }, disputed: true, pinned: true, note: "Band revised.",
+    registrar: { name: "Bigshare", url: "https://example.org/allot" },
+    subscription: [{ day: "2026-08-21", qib: 1.5, nii: null, retail: 2, employee: null, total: 1.8 }] });
+  const payload = { updatedIso: "2026-08-22T06:30:00.000Z", source: "ipowatch" };
+  const history = { points: [{ t: "2026-08-21T06:30:00.000Z", gmp: 10, price: "₹100", listing: "₹110", status: "active", sources: { ipowatch: 10 } }] };
+  const docs = [
+    ...["ipos", "active", "upcoming", "mainboard", "sme"].map(name => b.apiCollection(rows, name, payload)),
+    b.apiIpo(rows[0], history, payload),
+    b.apiIpo(rows[1], { points: [] }, payload),
+  ];
+  assert.ok(rows[0].outcome && docs[0].rows.some(r => r.outcome));
+  for (const doc of docs) assert.deepEqual(b.schemaErrors(doc, strict), [], doc.collection || doc.ipo.slug);
+
+  // and the validator does catch drift
+  const stray = b.apiIpo({ ...rows[0], scrapedAt: "x", outcome: { estimate: 1 } }, history, payload);
+  assert.deepEqual(b.schemaErrors(stray, strict.$defs.ipoDocument, "", strict).map(e => `${e.at}: ${e.msg}`), [
+    'ipo.outcome: missing "actual"', 'ipo.outcome: missing "gmp"', 'ipo.outcome: missing "errorPct"', "ipo.scrapedAt: unknown field",
+  ]);
+  assert.deepEqual(b.schemaErrors({ ...docs[0], count: -1, rows: [{ slug: "Bad Slug" }] }, strict).map(e => e.msg), ["matches 0 of the oneOf schemas, not 1"]);
+});
+
+test("writeApi: a new run timestamp alone rewrites no document", async () => {
+  const cwd = process.cwd();
+  process.chdir(fs.mkdtempSync(path.join(require("os").tmpdir(), "livegmp-")));
+  try {
+    const rows = b.validateAndNormalize(b.parseSourceHtml(fixture("ipowatch.html")), "ipowatch", NOW);
+    const run = iso => ({ updatedIso: iso, updatedLocal: iso, source: "ipowatch", rows });
+    const file = `api/v1/ipos/${rows[0].slug}.json`;
+    await b.loadManifest();
+    await b.writeApi(rows, run("2026-08-21T06:30:00.000Z"));
+    assert.equal(JSON.parse(fs.readFileSync("api/v1/ipos.json", "utf8")).count, rows.length);
+
+    await b.writeApi(rows, run("2026-08-22T06:30:00.000Z"));
+    assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).updatedIso, "2026-08-21T06:30:00.000Z");
+    assert.equal(JSON.parse(fs.readFileSync("api/v1/active.json", "utf8")).updatedIso, "2026-08-21T06:30:00.000Z");
+
+    rows[0].gmp += 5;
+    await b.writeApi(rows, run("2026-08-22T07:30:00.000Z"));
+    assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).updatedIso, "2026-08-22T07:30:00.000Z");
+    assert.equal(JSON.parse(fs.readFileSync(`api/v1/ipos/${rows[1].slug}.json`, "utf8")).updatedIso, "2026-08-21T06:30:00.000Z");
+    assert.equal(b.manifest.files[file].lastmod, "2026-08-22T07:30:00.000Z");
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test("toCsv: BOM, header, quoting and formula guard", () => {
+  const csv = b.toCsv([{ ipo: 'Foo, "Bar" Ltd', gmp: -5, price: "₹95 to ₹100", status: "=cmd()" }],
+    [["IPO", "ipo"], ["GMP (₹)", "gmp"], ["Price", "price"], ["Status", "status"], ["Lot", "lotSize"]]);
+  assert.ok(csv.startsWith("﻿IPO,GMP (₹),Price,Status,Lot\r\n"));
+  assert.equal(csv.split("\r\n")[1], `"Foo, ""Bar"" Ltd",-5,₹95 to ₹100,'=cmd(),`);
+  assert.equal(b.CSV_COLUMNS[0][1], "ipo");
+});
+
+test("static/gmp-shared.js: the page gets the same helpers the build uses", () => {
+  const vm = require("vm");
+  const win = {};
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, "../static/gmp-shared.js"), "utf8"), win);
+  const shared = require("../static/gmp-shared");
+  assert.deepEqual(Object.keys(win.LiveGMP), Object.keys(shared));
+  const row = { ipo: "Foo", gmp: 12, status: "active", listingPrice: 112, listingGainPct: 12, sources: { a: 12, b: null } };
+  assert.equal(b.toCsv, shared.toCsv);
+  assert.deepEqual({ ...win.LiveGMP.gmpLabelAndClass(row) }, { label: "▲ 12", cls: "gmp-up" });
+  assert.equal(win.LiveGMP.listingLabel(row), "₹112 (12.00%)");
+  assert.equal(win.LiveGMP.toCsv([row]), b.toCsv([row], b.CSV_COLUMNS));
+  assert.match(fs.readFileSync(path.join(__dirname, "../index.html"), "utf8"),
+    /<script src="\/static\/gmp-shared\.js"><\/script>\s*<script src="\/static\/gmp-client\.js">/);
+});
+
+test("groupRows: the Watchlist takes starred rows from below the MAX_PER_GROUP cut", () => {
+  const { groupRows, MAX_PER_GROUP } = require("../static/gmp-shared");
+  const rows = Array.from({ length: MAX_PER_GROUP + 2 }, (_, i) => ({ ipo: `IPO ${i}`, slug: `ipo-${i}`, gmp: 100 - i, status: "active" }));
+  const last = rows[rows.length - 1].slug;
+  assert.deepEqual(groupRows(rows).map(g => `${g.key}:${g.rows.length}`), ["active:10", "upcoming:0", "closed:0"]);
+  assert.ok(!groupRows(rows)[0].rows.some(r => r.slug === last));
+  const sections = groupRows(rows, r => r.slug === last || r.slug === "ipo-0");
+  assert.deepEqual(sections.map(g => `${g.key}:${g.rows.length}`), ["watch:2", "active:10", "upcoming:0", "closed:0"]);
+  assert.deepEqual(sections[0].rows.map(r => r.slug), ["ipo-0", last]);
+  assert.equal(sections[0].title, "Watchlist");
+  assert.ok(!sections[1].rows.some(r => r.slug === "ipo-0"));
+});
+
+test("guardRows: implausible GMPs are held back, then accepted once confirmed", () => {
+  const r = (slug, gmp, extra = {}) => ({ ipo: slug, slug, gmp, gmpRaw: `₹${gmp}`, priceHigh: 100, status: "active", ...extra });
+  const old = [r("glitch", 58), r("steady", 40), r("spiky", 10)];
+  const rows = [r("glitch", 5800), r("steady", 45), r("spiky", 60), r("absurd", 900)];
+  const histories = { spiky: [{ gmp: 30 }, { gmp: 20 }] };
+  const { rows: out, report } = b.guardRows(rows, old, histories, null, NOW);
+  assert.deepEqual(out.map(x => `${x.slug}:${x.gmp}`), ["glitch:58", "steady:45", "spiky:60"]);
+  assert.deepEqual(report.held.map(h => `${h.slug}:${h.check}:${h.kept}`),
+    ["glitch:gmp-vs-price:previous", "absurd:gmp-vs-price:withheld"]);
+  assert.equal(out[0].gmpRaw, "₹58");
+
+  // 10 -> 60 with a recent high of 30 is not a jump; 10 -> 200 is, until it repeats
+  assert.equal(b.rowAnomaly(r("spiky", 60), old[2], histories.spiky), null);
+  assert.equal(b.rowAnomaly(r("spiky", 200, { priceHigh: 500 }), old[2], histories.spiky).check, "jump");
+  let prev = report;
+  for (let run = 2; run <= 3; run++) prev = b.guardRows(rows, old, histories, prev, NOW).report;
+  assert.deepEqual(prev.confirmed.map(c => `${c.slug}:${c.runs}`), ["glitch:3", "absurd:3"]);
+  assert.equal(prev.held.length, 0);
+});
+
+test("guardRows: mass zeroing and vanishing active IPOs abort the run", () => {
+  const r = (slug, gmp, status = "active") => ({ ipo: slug, slug, gmp, status, closeDate: "2026-08-25" });
+  const old = ["a", "b", "c", "d"].map(s => r(s, 50));
+  const zeroed = b.guardRows([r("a", 0), r("b", null), r("c", 0), r("d", 50)], old, {}, null, NOW);
+  assert.equal(zeroed.rows, null);
+  assert.equal(zeroed.report.abort.check, "mass-zero");
+  const gone = b.guardRows([r("a", 50), r("b", 50)], old, {}, null, NOW);
+  assert.equal(gone.rows, null);
+  assert.deepEqual(gone.report.abort.slugs, ["c", "d"]);
+  const one = b.guardRows([r("a", 50), r("b", 50), r("c", 50)], old, {}, null, NOW);
+  assert.equal(one.rows.length, 3);
+  assert.deepEqual(one.report.warnings.map(w => w.slug), ["d"]);
+});
+
+test("validateAndNormalize / parseSourceHtml: fill the run-log report", () => {
+  const report = {};
+  const raw = b.SOURCES[2].parse(fixture("chanakya.html"), report);
+  b.validateAndNormalize(raw, "chanakya", NOW, report);
+  assert.ok(report.headers.length >= 4);
+  assert.ok(report.fields.includes("ipo") && report.fields.includes("gmp"));
+  assert.equal(report.valid, 12);
+  assert.equal(report.raw, 13);
+  assert.deepEqual(report.drops, { "bad GMP": 1 });
+});
+
+test("sourceHealth / statusBody: success rate per source over recent runs", () => {
+  const src = (name, outcome, extra = {}) => ({ name, outcome, fetch: { status: 200 }, raw: 12, valid: 12, ...extra });
+  const runs = [
+    { t: "2026-08-22T05:00:00.000Z", outcome: "published", sourceUsed: "a+b", rows: 12, sources: [src("a", "ok"), src("b", "ok")] },
+    { t: "2026-08-22T06:00:00.000Z", outcome: "unchanged", sourceUsed: "a", rows: 12,
+      sources: [src("a", "ok"), src("b", "rejected", { error: "b: only 3 valid rows (< 8)", valid: 3 })],
+      subscriptionSources: [src("subs", "rejected", { error: "subs: 0 data rows" })] },
+  ];
+  const h = b.sourceHealth(runs);
+  assert.deepEqual([h.a.ok, h.a.tried, h.b.ok, h.b.tried], [2, 2, 1, 2]);
+  assert.equal(h.b.lastOk, runs[0].t);
+  assert.deepEqual(Object.keys(h), ["a", "b"]);  // subscription sources don't count towards GMP health
+  assert.deepEqual(b.sourceHealth(runs, "subscriptionSources").subs, { ok: 0, tried: 1, lastOk: null, last: { ...runs[1].subscriptionSources[0], t: runs[1].t } });
+  const html = b.statusBody(runs);
+  assert.match(html, /<th>b<\/th><td>50%<\/td><td>50%<\/td>/);
+  assert.match(html, /only 3 valid rows/);
+  const [gmp, subs] = html.split("<h2>Subscription sources</h2>");
+  assert.doesNotMatch(gmp, /<th>subs<\/th>/);
+  assert.match(subs.split("<h2>Recent runs</h2>")[0], /<th>subs<\/th><td>0%<\/td><td>0%<\/td><td>never<\/td>/);
+  assert.doesNotMatch(b.statusBody(runs.slice(0, 1)), /Subscription sources/);
+});
+
+test("parseCli: options, validation and conflicts", () => {
+  const o = b.parseCli(["--dry-run", "--source", "ipowala", "--from-file", "page.html", "--json"]);
+  assert.equal(o.dryRun, true);
+  assert.equal(o.source, "ipowala");
+  assert.equal(o.fromFile, path.resolve("page.html"));
+  assert.equal(o.json, true);
+  assert.deepEqual(b.parseCli([]), { dryRun: false, source: null, fromFile: null, only: null, out: null, json: false, help: false });
+  assert.throws(() => b.parseCli(["--source", "nope"]), /unknown source "nope"/);
+  assert.throws(() => b.parseCli(["--only", "feeds"]), /--only takes one of/);
+  assert.throws(() => b.parseCli(["--only", "stubs", "--dry-run"]), /can't be combined/);
+  assert.throws(() => b.parseCli(["--bogus"]), /Unknown option/);
+  assert.throws(() => b.parseCli(["--from-file", "page.html"]), /--from-file needs --out/);
+  assert.equal(b.parseCli(["--from-file", "page.html", "--out", "stage"]).out, path.resolve("stage"));
+});
+
+test("diffRows / formatDiff: added, removed and changed fields", () => {
+  const r = (slug, gmp, status = "active") => ({ ipo: slug, slug, gmp, status });
+  const diff = b.diffRows([r("a", 10), r("b", 20), { ipo: "Gone Ltd", gmp: 5, status: "closed" }], [r("a", 10), r("b", 25, "closed"), r("c", null)]);
+  assert.deepEqual(diff.added, ["c"]);
+  assert.deepEqual(diff.removed, ["gone"]);
+  assert.deepEqual(diff.changed, [{ slug: "b", fields: { gmp: [20, 25], status: ["active", "closed"] } }]);
+  assert.equal(b.formatDiff(diff), "+ c\n- gone\n~ b: gmp 20 -> 25, status active -> closed");
+  assert.equal(b.formatDiff({ added: [], removed: [], changed: [] }), "(no changes)");
+});
+
+test("writeIfChanged / generateSitemap: timestamps alone never rewrite, lastmod tracks real changes", async () => {
+  const cwd = process.cwd();
+  process.chdir(fs.mkdtempSync(path.join(require("os").tmpdir(), "livegmp-")));
+  try {
+    fs.mkdirSync("data");
+    fs.mkdirSync("ipo/abc", { recursive: true });
+    fs.writeFileSync("what-is-gmp.html", "<p>guide</p>");
+    await b.loadManifest();
+    const page = (gmp, iso) => `<!-- AUTO_STUB -->\n<p>GMP ₹${gmp} · updated ${iso}</p>`;
+    const run = iso => ({ updatedIso: iso, updatedLocal: iso, rows: [] });
+    const d1 = "2026-08-20T06:00:00.000Z", d2 = "2026-08-21T06:00:00.000Z", d3 = "2026-08-22T06:00:00.000Z";
+
+    assert.equal(await b.writeIfChanged("ipo/abc/index.html", page(10, d1), { volatile: [d1], nowIso: d1 }), true);
+    await b.generateSitemap(run(d1));
+    assert.equal(await b.writeIfChanged("ipo/abc/index.html", page(10, d2), { volatile: [d2], nowIso: d2 }), false);
+    assert.ok(fs.readFileSync("ipo/abc/index.html", "utf8").includes(d1));
+    const before = fs.statSync("sitemap.xml").mtimeMs;
+    await b.generateSitemap(run(d2));
+    assert.equal(fs.statSync("sitemap.xml").mtimeMs, before);
+
+    assert.equal(await b.writeIfChanged("ipo/abc/index.html", page(12, d3), { volatile: [d3], nowIso: d3 }), true);
+    fs.writeFileSync("what-is-gmp.html", "<p>guide, revised</p>");
+    await b.generateSitemap(run(d3));
+    await b.saveManifest();
+    const xml = fs.readFileSync("sitemap.xml", "utf8");
+    assert.match(xml, /ipo\/abc\/<\/loc><lastmod>2026-08-22</);
+    assert.match(xml, /what-is-gmp\.html<\/loc><lastmod>2026-08-22</);
+    assert.equal(JSON.parse(fs.readFileSync("data/manifest.json", "utf8"))["ipo/abc/index.html"].lastmod, d3);
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test("archiveStubs / generateIpoIndex: unseen stubs are archived, hand-written pages never touched", async () => {
+  const cwd = process.cwd();
+  process.chdir(fs.mkdtempSync(path.join(require("os").tmpdir(), "livegmp-")));
+  try {
+    fs.mkdirSync("data");
+    const payload = iso => ({ updatedIso: iso, updatedLocal: iso, rows: [] });
+    const live = { ipo: "Old Co", slug: "old-co", type: "SME", status: "closed", date: "1-3 Aug", price: "₹100", gmp: 5, listing: "₹105 (5%)" };
+    const blog = "<html><body><h1>Our full Blog Co review</h1></body></html>";
+    fs.mkdirSync("ipo/blog-co", { recursive: true });
+    fs.writeFileSync("ipo/blog-co/index.html", blog);
+    await b.loadManifest();
+    await b.generateStubs([live], payload("2026-08-10T06:00:00.000Z"));
+    await b.archiveStubs([live], payload("2026-08-10T06:00:00.000Z"));
+
+    await b.archiveStubs([], payload("2026-08-15T06:00:00.000Z"));
+    assert.ok(!fs.readFileSync("ipo/old-co/index.html", "utf8").includes("ARCHIVED_STUB"));
+    await b.archiveStubs([], payload("2026-08-17T06:00:00.000Z"));
+    const page = fs.readFileSync("ipo/old-co/index.html", "utf8");
+    assert.ok(page.includes("<!-- ARCHIVED_STUB -->") && page.includes("<!-- AUTO_STUB -->"));
+    assert.match(page, /<th>Final GMP<\/th><td>₹5<\/td>/);
+    assert.doesNotMatch(page, /GMP Today/);
+    assert.equal(fs.readFileSync("ipo/blog-co/index.html", "utf8"), blog);
+    assert.deepEqual(JSON.parse(fs.readFileSync("data/stubs.json", "utf8"))["old-co"], { lastSeen: "2026-08-10", archived: "2026-08-17" });
+
+    await b.generateIpoIndex(payload("2026-08-17T06:00:00.000Z"));
+    const index = fs.readFileSync("ipo/index.html", "utf8");
+    const [current, past] = index.split("<h2>Past IPOs</h2>");
+    assert.match(current, /blog-co/);
+    assert.match(past, /old-co.*tag-archived/);
+
+    // back on the board: a live stub again
+    await b.generateStubs([live], payload("2026-08-18T06:00:00.000Z"));
+    await b.archiveStubs([live], payload("2026-08-18T06:00:00.000Z"));
+    assert.ok(!fs.readFileSync("ipo/old-co/index.html", "utf8").includes("ARCHIVED_STUB"));
+    assert.equal(JSON.parse(fs.readFileSync("data/stubs.json", "utf8"))["old-co"].archived, null);
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test("subscription: parsed by header name, validated, filed by day and joined by slug", () => {
+  const sub = require("../scripts/subscription/ipowatch");
+  const report = {};
+  const rows = b.validateSubscription(sub.parse(fixture("subscription.html"), report), sub.name, NOW, report);
+  assert.deepEqual(rows.map(r => [r.slug, r.qib, r.nii, r.retail, r.employee, r.total]), [
+    ["shiprocket", 12.4, 8.15, 3.3, null, 8.92],
+    ["horizon-industrial-parks", 1.02, 0.88, 2.1, 1.45, 1.21],
+    ["sunshine-pictures", null, 145.2, 98.65, null, 1204.5],
+  ]);
+  assert.deepEqual(report.drops, { "bad total": 1 });
+  assert.equal(b.parseTimes("junk"), NaN);
+  assert.throws(() => b.validateSubscription(rows.slice(0, 1).map(r => ({ ...r, total: String(r.total) })), "x"), /only 1 valid rows/);
+
+  // same figures later that day or the next add nothing; a move on a new day does
+  const d1 = "2026-08-21T06:00:00.000Z", d2 = "2026-08-22T06:00:00.000Z";
+  let store = b.mergeSubscription({ ipos: {} }, rows, "ipowatch-subs", d1);
+  store = b.mergeSubscription(store, rows, "ipowatch-subs", d2);
+  assert.equal(store.ipos.shiprocket.days.length, 1);
+  store = b.mergeSubscription(store, [{ ...rows[0], total: 20.5 }], "ipowatch-subs", d2);
+  assert.deepEqual(store.ipos.shiprocket.days.map(d => [d.day, d.total]), [["2026-08-21", 8.92], ["2026-08-22", 20.5]]);
+
+  const [joined, bare] = b.attachSubscription([{ slug: "shiprocket", ipo: "Shiprocket" }, { slug: "nope" }], store);
+  assert.equal(bare.subscription, undefined);
+  assert.equal(b.subscriptionLine(joined), "Total 20.5x · QIB 12.4x · NII 8.15x · Retail 3.3x (22 Aug)");
+  assert.match(b.cardHtml({ ...joined, type: "SME", status: "active", gmp: 5 }), /Subscribed:<\/strong> <span data-field="subscription">Total 20\.5x/);
+});
+
+test("listing outcomes: last pre-listing estimate vs actual, manual prices win, scoreboard by type and source", async () => {
+  assert.equal(b.parseListedPrice("₹150.50 (+10.66%)"), 150.5);
+  assert.equal(b.parseListedPrice("—"), null);
+  const row = (slug, type, gmp, extra = {}) => ({ ipo: slug.toUpperCase(), slug, type, status: "listed", gmp, priceHigh: 100, ...extra });
+  const points = [
+    { t: "2026-08-20T06:00:00.000Z", gmp: 30, status: "active" },
+    { t: "2026-08-22T06:00:00.000Z", gmp: 20, status: "closed", sources: { x: 19, y: 21 } },
+    { t: "2026-08-25T06:00:00.000Z", gmp: 45, status: "listed" }, // after listing: not the estimate
+  ];
+  const rows = [
+    row("a", "Mainboard", 45, { listedPrice: 125, sources: { x: 44, y: 46 } }),
+    row("b", "SME", 10, { listedPrice: 999 }),
+    row("c", "SME", 5),
+  ];
+  const { outcomes, changed } = await b.recordOutcomes(rows, {}, { b: { price: 100 } }, { a: points }, "x+y");
+  assert.equal(changed, 2);
+  assert.deepEqual(outcomes.a, { ipo: "A", type: "Mainboard", listingDate: null, issuePrice: 100, gmp: 20, estimate: 120,
+    actual: 125, errorPct: -4, bySource: { x: 119, y: 121 }, via: "source" });
+  assert.equal(outcomes.b.actual, 100);
+  assert.equal(outcomes.b.via, "manual");
+  assert.equal(outcomes.c, undefined);
+  assert.equal((await b.recordOutcomes(rows, outcomes, { b: { price: 100 } }, { a: points }, "x+y")).changed, 0);
+
+  b.attachOutcomes(rows, outcomes);
+  assert.equal(b.outcomeLine(rows[0].outcome), "Listed at ₹125 vs ₹120 estimated at ₹20 GMP (4% under)");
+  assert.deepEqual(b.accuracyStats([-4, 10, 12]), { n: 3, hits: { 5: 1, 10: 2 }, mae: 8.67, bias: 6 });
+  const html = b.accuracyBody(outcomes);
+  assert.match(html, /<th>All IPOs<\/th><td>2<\/td><td>50% \(1\)<\/td><td>100% \(2\)<\/td><td>7%<\/td><td>\+3%<\/td>/);
+  assert.match(html, /<th>SME<\/th><td>1<\/td>/);
+  assert.match(html, /<th>Source: x<\/th><td>1<\/td><td>100% \(1\)<\/td><td>100% \(1\)<\/td><td>4\.8%<\/td><td>-4\.8%<\/td>/);
+});
+
+test("calendar: iCalendar events per IPO window and month grids by open/close day", () => {
+  const r = { ipo: "Alpha, Beta; Co", slug: "alpha-beta-co", type: "SME", price: "₹95-100", lotSize: 1200, gmp: 12,
+    openDate: "2026-08-28", closeDate: "2026-09-01", allotmentDate: "2026-09-02", listingDate: null };
+  const ics = b.icsCalendar("LiveGMP IPO Calendar", b.icsEvents(r, "2026-08-22T06:30:00.000Z"));
+  const lines = ics.split("\r\n");
+  assert.equal(lines[0], "BEGIN:VCALENDAR");
+  assert.equal(lines.filter(l => l === "BEGIN:VEVENT").length, 2);
+  assert.ok(lines.includes("UID:alpha-beta-co-window@livegmp.in"));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20260828"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20260902")); // exclusive end: the day after close
+  assert.ok(lines.includes("DTSTAMP:20260822T063000Z"));
+  assert.ok(lines.includes("SUMMARY:Alpha\\, Beta\\; Co IPO open (SME)"));
+  assert.ok(lines.every(l => Buffer.byteLength(l) <= 75));
+  assert.doesNotMatch(ics, /GMP ₹/);
+  const folded = b.icsFold("DESCRIPTION:" + "₹".repeat(40));
+  assert.equal(folded.split("\r\n ").join(""), "DESCRIPTION:" + "₹".repeat(40));
+
+  const html = b.calendarBody([r, { ipo: "Gamma", slug: "gamma", type: "Mainboard", openDate: null }], "2026-08-22T06:30:00.000Z");
+  assert.match(html, /<h2>August 2026<\/h2>[\s\S]*<h2>September 2026<\/h2>/);
+  // 1 Aug 2026 is a Saturday: five empty cells before it in a Monday-first week
+  assert.match(html, /<tr>(<td class="cal-empty"><\/td>){5}<td><span class="cal-day">1<\/span><\/td>/);
+  assert.match(html, /<span class="cal-day">28<\/span><a class="cal-ev cal-open" href="\/ipo\/alpha-beta-co\/">Opens: Alpha, Beta; Co<\/a>/);
+  assert.match(html, /<span class="cal-day">1<\/span><a class="cal-ev cal-close"[^>]*>Closes: Alpha/);
+  assert.match(html, /<td class="cal-today"><span class="cal-day">22<\/span>/);
+  assert.match(html, /Dates Not Announced Yet[\s\S]*gamma/);
+});
+
+test("overrides: schema-checked entries fix fields, hide, pin and annotate rows", async () => {
+  const warn = test.mock.method(console, "warn", () => {});
+  const dir = fs.mkdtempSync(path.join(require("os").tmpdir(), "livegmp-"));
+  const file = path.join(dir, "overrides.json");
+  fs.writeFileSync(file, JSON.stringify({
+    "$schema": "./overrides.schema.json",
+    "company-a": { type: "Mainboard", price: "₹190-200", pin: true, note: "Price band revised.",
+      registrar: { name: "KFin Technologies", url: "https://kosmic.kfintech.com/ipostatus/" } },
+    "company-b": { hide: true, reason: "duplicate listing" },
+    "company-c": { date: "26-28 August", listingDate: "2026-09-02" },
+    "company-d": { type: "sme", openDate: "2026-08-20" },
+    "Company E": { note: "bad key" },
+    "compnay-f": { pin: true },
+  }));
+  const overrides = await b.loadOverrides(file, path.join(__dirname, "..", "data", "overrides.schema.json"));
+  assert.deepEqual(Object.keys(overrides), ["company-a", "company-b", "company-c", "compnay-f"]);
+  assert.ok(warn.mock.calls.some(c => /company-d\.type: must be one of Mainboard, SME/.test(c.arguments[0])));
+  assert.ok(warn.mock.calls.some(c => /company-d: "openDate" needs "closeDate"/.test(c.arguments[0])));
+
+  const rows = b.validateAndNormalize(rowsOf(b.MIN_ROWS), "src", NOW);
+  const stats = {};
+  const out = b.applyOverrides(rows, overrides, NOW, stats, []);
+  assert.deepEqual(stats.unknown, ["compnay-f"]);
+  assert.deepEqual(stats.hidden, ["company-b"]);
+  assert.equal(out.length, b.MIN_ROWS - 1);
+  const a = out.find(r => r.slug === "company-a");
+  assert.deepEqual([a.type, a.priceHigh, a.listingPrice, a.pinned], ["Mainboard", 200, 210, true]);
+  const c = out.find(r => r.slug === "company-c");
+  assert.deepEqual([c.openDate, c.closeDate, c.listingDate, c.status], ["2026-08-26", "2026-08-28", "2026-09-02", "upcoming"]);
+
+  const html = b.buildWrapper(out, { updatedIso: "2026-08-22T06:30:00.000Z", updatedLocal: "22/08/2026" });
+  assert.match(html, /<h3 class="section-heading">[^<]*<\/h3>\s*<div class="ipo-card"[^>]*data-slug="company-a"[^>]*data-pinned="1"/);
+  assert.match(html, /<strong>Note:<\/strong> <span data-field="note">Price band revised\./);
+  const stub = b.stubBody(a, { updatedLocal: "22/08/2026" }, { points: [] });
+  assert.match(stub, /<th>Registrar<\/th><td><a href="https:\/\/kosmic\.kfintech\.com\/ipostatus\/" rel="noopener">KFin Technologies<\/a>/);
+});
+
+test("notifySafely: a broken data/notify.json is a warning, not a failed run", async () => {
+  const warn = test.mock.method(console, "warn", () => {});
+  const cwd = process.cwd();
+  process.chdir(fs.mkdtempSync(path.join(require("os").tmpdir(), "livegmp-")));
+  try {
+    fs.mkdirSync("data");
+    fs.writeFileSync("data/notify.json", JSON.stringify({ channels: [{ type: "pigeon" }] }));
+    await b.notifySafely([], NOW);
+    assert.match(warn.mock.calls[0].arguments[0], /notifications skipped: .*unknown channel type "pigeon"/);
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test("page sections: names from sources are escaped by the templates", () => {
+  const bad = `<img src=x onerror="alert(1)">&`;
+  const safe = "&lt;img src=x onerror=&quot;alert(1)&quot;&gt;&amp;";
+  const hist = { ipo: bad, points: [{ t: "2026-08-20T06:00:00.000Z", gmp: 10 }, { t: "2026-08-21T06:00:00.000Z", gmp: 12 }] };
+  const days = [{ day: "2026-08-21", qib: 1, nii: 1, retail: 1, total: 1 }, { day: "2026-08-22", qib: 2, nii: 2, retail: 2, total: 2 }];
+  const r = { ipo: bad, slug: "x", type: "SME", openDate: "2026-08-21", closeDate: "2026-08-25" };
+  const outcome = { ipo: bad, type: "SME", listingDate: "2026-08-28", issuePrice: 100, gmp: 10, estimate: 110, actual: 108, errorPct: 1.85, bySource: {} };
+  const sections = {
+    trend: b.trendSection({ ipo: bad }, hist),
+    subscription: b.subscriptionSection({ ipo: bad, subscription: days }),
+    archived: b.archivedBody({ "Type": bad }, hist, { lastSeen: "2026-08-10" }),
+    calendar: b.calendarBody([r, { ...r, slug: "y", openDate: null }], "2026-08-22T06:30:00.000Z"),
+    accuracy: b.accuracyBody({ x: outcome }),
+    status: b.statusBody([{ t: "2026-08-22T06:30:00.000Z", outcome: "failed", error: bad, sources: [{ name: bad, outcome: "rejected", error: bad }] }]),
+  };
+  for (const [name, html] of Object.entries(sections)) {
+    assert.ok(html.includes(safe), name);
+    assert.doesNotMatch(html, /<img/, name);
+  }
+});
+
+test("buildWrapper: ships the card template the client clones for live refresh", () => {
+  const html = b.buildWrapper([], { updatedIso: "2026-08-22T06:30:00.000Z", source: "x" });
+  const tpl = html.match(/<template id="gmp-card-template">([\s\S]*?)<\/template>/);
+  assert.ok(tpl);
+  assert.equal(tpl[1], b.cardPrototype());
+  assert.match(tpl[1], /^<div class="ipo-card"/);
+  // every optional part is present for the client to fill or drop
+  const fields = [...tpl[1].matchAll(/data-field="(\w+)"/g)].map(m => m[1]);
+  assert.deepEqual(fields, ["ipo", "gmp", "status", "date", "price", "listing", "lotSize", "type", "sources", "subscription", "note"]);
+  assert.match(tpl[1], /class="ipo-pinned"/);
+  assert.match(tpl[1], /class="gmp-disputed"/);
+  // and a real card is the same markup with the values in
+  const card = b.cardHtml({ ipo: "Alpha", slug: "alpha", type: "SME", status: "active", gmp: 5, date: "21-25 August" });
+  assert.deepEqual([...card.matchAll(/data-field="(\w+)"/g)].map(m => m[1]), ["ipo", "gmp", "status", "date", "price", "listing", "type"]);
+});
+
+test("buildWrapper: embeds the CSV fields of the rendered cards for \"CSV of visible rows\"", () => {
+  const rows = Array.from({ length: 12 }, (_, i) => ({ ipo: `IPO ${i} </script>`, slug: `ipo-${i}`, type: "SME", status: "active", gmp: 20 - i, note: "n" }));
+  const html = b.buildWrapper(rows, { updatedIso: "2026-08-22T06:30:00.000Z", source: "x" });
+  const json = html.match(/<script type="application\/json" id="gmp-rows">([\s\S]*?)<\/script>/)[1];
+  const embedded = JSON.parse(json);
+  // the cards on the page, not the rows cut by MAX_PER_GROUP
+  assert.deepEqual(embedded.map(r => r.slug), rows.slice(0, 10).map(r => r.slug));
+  assert.equal(embedded[0].ipo, "IPO 0 </script>");
+  assert.deepEqual(Object.keys(embedded[0]), ["ipo", "slug", "type", "status", "gmp"]);
+  assert.equal(b.toCsv(embedded, b.CSV_COLUMNS), b.toCsv(rows.slice(0, 10), b.CSV_COLUMNS));
+});
+
+test("main: a staged --from-file run writes only into --out and sends nothing", async () => {
+  const log = test.mock.method(console, "log", () => {});
+  test.mock.method(console, "warn", () => {});
+  const fixture = path.resolve(__dirname, "fixtures/ipowatch.html");
+  const index = fs.readFileSync(path.resolve(__dirname, "../index.html"), "utf8");
+  const cwd = process.cwd();
+  const live = fs.mkdtempSync(path.join(require("os").tmpdir(), "livegmp-"));
+  const out = path.join(live, "..", `${path.basename(live)}-out`);
+  const outbox = path.join(live, "outbox.jsonl");
+  process.chdir(live);
+  try {
+    fs.mkdirSync("data");
+    fs.writeFileSync("index.html", index);
+    fs.writeFileSync("data/notify.json", JSON.stringify({ channels: [{ type: "file", path: outbox }] }));
+    await b.main(b.parseCli(["--from-file", fixture, "--out", out]));
+    assert.equal(process.cwd(), out);
+    assert.ok(fs.existsSync(path.join(out, "gmp.json")));
+    assert.ok(!fs.existsSync(path.join(live, "gmp.json")));
+    assert.ok(!fs.existsSync(outbox));
+    assert.ok(!fs.existsSync(path.join(out, "data/notify_state.json")));
+    assert.ok(!fs.existsSync(path.join(live, "data/notify_state.json")));
+    assert.ok(log.mock.calls.some(c => /^Staging: \d+ notification event\(s\) not sent\.$/.test(c.arguments[0])));
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test("main: an unchanged run still archives stubs whose ARCHIVE_AFTER_DAYS ran out", async () => {
+  test.mock.method(console, "warn", () => {});
+  const fixture = path.resolve(__dirname, "fixtures/ipowatch.html");
+  const index = fs.readFileSync(path.resolve(__dirname, "../index.html"), "utf8");
+  const cwd = process.cwd();
+  const live = fs.mkdtempSync(path.join(require("os").tmpdir(), "livegmp-"));
+  process.chdir(live);
+  try {
+    fs.mkdirSync("data");
+    fs.writeFileSync("index.html", index);
+    const opts = b.parseCli(["--from-file", fixture, "--out", live]);
+    await b.main(opts);
+    const gmpJson = fs.readFileSync("gmp.json", "utf8");
+
+    fs.mkdirSync("ipo/old-ipo", { recursive: true });
+    fs.writeFileSync("ipo/old-ipo/index.html", b.siteShell({ title: "Old IPO", desc: "", canonical: "", body: "<p>stub</p>" }));
+    const stubs = JSON.parse(fs.readFileSync("data/stubs.json", "utf8"));
+    fs.writeFileSync("data/stubs.json", JSON.stringify({ ...stubs, "old-ipo": { lastSeen: "2020-01-01", archived: null } }));
+    await b.main(opts);
+    assert.equal(fs.readFileSync("gmp.json", "utf8"), gmpJson);
+    assert.match(fs.readFileSync("ipo/old-ipo/index.html", "utf8"), /<!-- ARCHIVED_STUB -->/);
+    assert.ok(JSON.parse(fs.readFileSync("data/stubs.json", "utf8"))["old-ipo"].archived);
+    assert.match(fs.readFileSync("ipo/index.html", "utf8"), /Past IPOs[\s\S]*\/ipo\/old-ipo\//);
+    assert.match(fs.readFileSync("sitemap.xml", "utf8"), /\/ipo\/old-ipo\/<\/loc>/);
+    assert.equal(JSON.parse(fs.readFileSync("data/runs.jsonl", "utf8").trim().split("\n").pop()).outcome, "unchanged");
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test("historyChanged: only HISTORY_FIELDS count", () => {
+  const last = { t: "2026-08-21T06:00:00.000Z", gmp: 10, price: "₹100", listing: "₹110 (10.00%)", status: "active" };
+  const cases = [
+    [undefined, {}, true],
+    [last, { ...last, t: "2026-08-22T06:00:00.000Z", lotSize: 1200 }, false],
+    [last, { ...last, gmp: 12 }, true],
+    [last, { ...last, gmp: null }, true],
+    [last, { ...last, status: "closed" }, true],
+    [last, { ...last, listing: "₹112 (12.00%)" }, true],
+  ];
+  for (const [prev, r, want] of cases) assert.equal(b.historyChanged(prev, r), want, JSON.stringify(r));
+});
+
+test("compactHistory: older points collapse per IST day, recent ones and the cap are kept", () => {
+  const at = (d, h, mi = 0) => ({ t: new Date(ist(2026, 8, d, h, mi)).toISOString(), gmp: d * 100 + h });
+  assert.equal(b.HISTORY_FULL_DAYS, 7);
+  const points = [
+    at(10, 10), at(10, 14), at(10, 23, 30),  // one old IST day -> its last point
+    at(11, 0, 30),                           // same UTC day as 10 Aug 23:30 IST, different IST day
+    at(15, 11), at(15, 13),                  // straddles the cutoff (15 Aug 12:00 IST): both kept
+    at(20, 10), at(20, 11),                  // recent intraday moves stay
+  ];
+  assert.deepEqual(b.compactHistory(points, NOW), [at(10, 23, 30), at(11, 0, 30), at(15, 11), at(15, 13), at(20, 10), at(20, 11)]);
+  assert.deepEqual(b.compactHistory([], NOW), []);
+  assert.deepEqual(b.compactHistory([at(1, 9)], NOW), [at(1, 9)]);
+
+  const many = Array.from({ length: b.HISTORY_MAX_POINTS + 50 }, (_, i) =>
+    ({ t: new Date(NOW - (b.HISTORY_MAX_POINTS + 50 - i) * 60000).toISOString(), gmp: i }));
+  const kept = b.compactHistory(many, NOW);
+  assert.equal(kept.length, b.HISTORY_MAX_POINTS);
+  assert.deepEqual([kept[0].gmp, kept[kept.length - 1].gmp], [50, b.HISTORY_MAX_POINTS + 49]);
+});
+
+test("sparklineSvg: needs two quoted points, scales to the box and colours by direction", () => {
+  const p = (h, gmp) => ({ t: new Date(ist(2026, 8, 20, h)).toISOString(), gmp });
+  assert.equal(b.sparklineSvg([]), "");
+  assert.equal(b.sparklineSvg([p(10, 20)]), "");
+  assert.equal(b.sparklineSvg([p(10, null), p(11, 20), p(12, null)]), "");
+
+  const up = b.sparklineSvg([p(10, 20), p(11, null), p(12, 30), p(14, 40)]);
+  assert.match(up, /class="gmp-sparkline gmp-up"/);
+  assert.match(up, /points="4\.0,60\.0 160\.0,32\.0 316\.0,4\.0"/);
+  assert.match(up, /<circle cx="316\.0" cy="4\.0"/);
+  assert.match(up, /aria-label="GMP trend: ₹20 to ₹40 over 3 updates"/);
+
+  assert.match(b.sparklineSvg([p(10, 40), p(12, 25)]), /gmp-down/);
+  const flat = b.sparklineSvg([p(10, 15), p(10, 15)], 100, 20);
+  assert.match(flat, /gmp-neutral.*viewBox="0 0 100 20"/);
+  assert.match(flat, /points="4\.0,16\.0 4\.0,16\.0"/);  // zero spans don't divide by zero
+});
+
+test("trendSection: empty, single-point and capped recent-values table", () => {
+  const p = (h, gmp) => ({ t: new Date(ist(2026, 8, 20, h)).toISOString(), gmp });
+  const r = { ipo: "A&B Foods" };
+  assert.equal(b.trendSection(r, null), "");
+  assert.equal(b.trendSection(r, { points: [] }), "");
+
+  const one = b.trendSection(r, { points: [p(10, 20)] });
+  assert.match(one, /<h2>A&amp;B Foods GMP Trend<\/h2>/);
+  assert.match(one, /Not enough GMP updates yet/);
+  assert.match(one, /<tr><th>20 Aug, 10:00<\/th><td>₹20<\/td><td>—<\/td><\/tr>/);
+  assert.doesNotMatch(one, /<svg/);
+
+  const hist = { points: [p(9, 20), p(10, 25), p(11, null), p(12, 25), p(13, 18), p(14, 18)] };
+  const html = b.trendSection(r, hist);
+  assert.match(html, /<svg class="gmp-sparkline gmp-down"/);
+  const cells = [...html.matchAll(/<tr><th>20 Aug, (\d\d):00<\/th><td>([^<]*)<\/td><td>(.*?)<\/td><\/tr>/g)].map(m => m.slice(1).join(" "));
+  assert.deepEqual(cells, [
+    "14 ₹18 —",
+    "13 ₹18 <span class=\"gmp-down\">▼ 7</span>",
+    "12 ₹25 —",                                      // no delta across an unquoted point
+    "11 Not quoted —",
+    "10 ₹25 <span class=\"gmp-up\">▲ 5</span>",
+    "09 ₹20 —",
+  ]);
+
+  const long = b.trendSection(r, { points: Array.from({ length: 15 }, (_, i) => p(i + 1, i)) });
+  assert.equal((long.match(/<tr><th>20 Aug/g) || []).length, 10);
+  assert.match(long, /<tr><th>20 Aug, 15:00<\/th><td>₹14<\/td>/);
+});
+
+test("median: odd, even and single-value inputs", () => {
+  for (const [nums, want] of [[[3, 1, 2], 2], [[4, 1, 3, 2], 2.5], [[5], 5], [[-10, 20], 5]]) {
+    assert.equal(b.median(nums), want, JSON.stringify(nums));
+  }
+});
+
+// a validated row as validateAndNormalize leaves it
+const vrow = (ipo, gmp, extra = {}) => ({
+  ipo, slug: b.slugify(ipo), gmp, gmpRaw: gmp === null ? "₹-" : `₹${gmp}`,
+  price: "₹100", priceLow: 100, priceHigh: 100,
+  listing: gmp === null ? "" : `₹${100 + gmp} (${gmp.toFixed(2)}%)`, listingPrice: null, listingGainPct: null,
+  lotSize: null, issueSize: null, listedPrice: null,
+  date: "21-25 August", openDate: "2026-08-21", closeDate: "2026-08-25", allotmentDate: null, listingDate: null,
+  type: "SME", status: "active", ...extra,
+});
+
+test("mergeSourceRows: median GMP, disputed threshold and listing recompute", () => {
+  const cases = [
+    // [source GMPs, merged gmp, disputed, listing]
+    [[10, 14], 12, false, "₹112 (12.00%)"],
+    [[10, 30, 80], 30, true, "₹130 (30.00%)"],          // spread ₹70 > ₹10 and > 25% of ₹30
+    [[100, 112], 106, false, "₹206 (106.00%)"],         // spread ₹12 > ₹10 but < 25% of ₹106
+    [[20, 32], 26, true, "₹126 (26.00%)"],              // spread ₹12 > ₹10 and > 25% of ₹26
+    [[null, 20], 20, false, "₹120 (20.00%)"],           // an unquoted source doesn't count
+    [[15, 15], 15, false, "₹115 (15.00%)"],             // consensus = base: base listing kept
+  ];
+  for (const [gmps, gmp, disputed, listing] of cases) {
+    const results = gmps.map((g, i) => ({ name: `s${i}`, rows: [vrow("Alpha Tech", g)] }));
+    const [m, ...rest] = b.mergeSourceRows(results, NOW);
+    const label = JSON.stringify(gmps);
+    assert.equal(rest.length, 0, label);
+    assert.equal(m.gmp, gmp, label);
+    assert.equal(!!m.disputed, disputed, label);
+    assert.equal(m.listing, listing, label);
+    assert.deepEqual(m.sources, Object.fromEntries(gmps.map((g, i) => [`s${i}`, g])), label);
+  }
+  assert.equal(b.NAME_MATCH_MIN, 0.9);
+  assert.deepEqual([b.MERGE_DISAGREE_ABS, b.MERGE_DISAGREE_PCT], [10, 0.25]);
+});
+
+test("mergeSourceRows: names below NAME_MATCH_MIN stay separate IPOs", () => {
+  const cases = [
+    // [name in s0, name in s1, merged into one row]
+    ["Alpha Technologies Ltd", "Alpha Technologies Limited", true],
+    ["Shree Ram Twistex", "Shree Ram Twistex SME IPO", true],
+    ["Vikran Engineering", "Vikram Engineering", false],  // 0.875: close, but not the same
+    ["Alpha Tech", "Alpha Textiles", false],
+  ];
+  for (const [x, y, same] of cases) {
+    const merged = b.mergeSourceRows([{ name: "s0", rows: [vrow(x, 10)] }, { name: "s1", rows: [vrow(y, 20)] }], NOW);
+    assert.equal(merged.length, same ? 1 : 2, `${x} / ${y}`);
+    if (!same) assert.deepEqual(merged.map(r => [r.ipo, r.gmp, r.sources]), [[x, 10, undefined], [y, 20, undefined]]);
+  }
+});
+
+test("mergeSourceRows: dates borrowed from another source are normalised", () => {
+  const base = vrow("Beta Foods", 10, { date: "", openDate: null, closeDate: null, status: "upcoming" });
+  const other = vrow("Beta Foods", 14, { date: "20-24 August", allotmentDate: "2026-08-25" });
+  const [m] = b.mergeSourceRows([{ name: "s0", rows: [base] }, { name: "s1", rows: [other] }], NOW);
+  assert.deepEqual([m.date, m.openDate, m.closeDate, m.allotmentDate, m.status],
+    ["20-24 August", "2026-08-20", "2026-08-24", "2026-08-25", "active"]);
+});
+
+test("normalizeIpoName / nameSimilarity: suffix noise is ignored, near names score below a match", () => {
+  const norms = [
+    ["Alpha Technologies Ltd", "alpha technologies"],
+    ["Alpha Technologies Limited.", "alpha technologies"],
+    ["Shree Ram Twistex SME IPO", "shree ram twistex"],
+    ["The Jain & Sons Pvt. Ltd (NSE Emerge)", "jain and sons"],
+    ["  BSE  ", ""],
+  ];
+  for (const [name, want] of norms) assert.equal(b.normalizeIpoName(name), want, name);
+
+  const sims = [
+    ["Alpha Technologies Ltd", "Alpha Technologies Limited", 1],
+    ["Shree Ram Twistex", "Shree Ram Twistex SME IPO", 1],
+    ["Vikran Engineering", "Vikram Engineering", 0.875],
+    ["Alpha Tech", "Alpha Textiles", 0.6],
+    ["A", "Alpha", 0],                    // too short for bigrams
+  ];
+  for (const [x, y, want] of sims) {
+    assert.equal(b.nameSimilarity(x, y), want, `${x} / ${y}`);
+    assert.equal(b.nameSimilarity(y, x), want, `${y} / ${x}`);
+  }
+  assert.ok(b.NAME_WARN_MIN <= 0.875 && 0.875 < b.NAME_MATCH_MIN);
+});
+
+test("ipoSlug: aliases, stripped suffixes and a warning (not a merge) for near-duplicates", () => {
+  const warn = test.mock.method(console, "warn", () => {});
+  const registry = {
+    aliases: new Map([["shree balaji mala textiles", "shree-balaji-textiles"]]),
+    known: ["shree-balaji-textiles", "vikran-engineering", "foo-limited"],
+    warned: new Set(),
+  };
+  const cases = [
+    ["Shree Balaji (Mala) Textiles Ltd", "shree-balaji-textiles"],  // alias, suffix ignored
+    ["Vikran Engineering SME IPO", "vikran-engineering"],           // trailing noise dropped
+    ["Foo Ltd", "foo-limited"],                                     // same once normalized
+    ["Zeta Chemicals NSE SME", "zeta-chemicals"],
+    ["Vikram Engineering", "vikram-engineering"],                   // 0.875: own slug, warned
+    ["Vikram Engineering Ltd", "vikram-engineering"],
+  ];
+  for (const [name, want] of cases) assert.equal(b.ipoSlug(name, registry), want, name);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /"vikram-engineering".*"vikran-engineering" \(similarity 0\.88\)/);
+  assert.deepEqual([...registry.warned], ["vikram-engineering"]);
+});
+
+test("loadNameRegistry: aliases file plus stub dirs and history files", async () => {
+  const cwd = process.cwd();
+  process.chdir(fs.mkdtempSync(path.join(require("os").tmpdir(), "livegmp-")));
+  try {
+    await b.loadNameRegistry();
+    assert.deepEqual([b.nameRegistry.aliases.size, b.nameRegistry.known], [0, []]);
+
+    fs.mkdirSync("data/history", { recursive: true });
+    fs.mkdirSync("ipo/beta-foods", { recursive: true });
+    fs.mkdirSync("ipo/no-page", { recursive: true });
+    fs.writeFileSync("ipo/beta-foods/index.html", "<p>stub</p>");
+    fs.writeFileSync("data/history/gamma-steel.json", "{}");
+    fs.writeFileSync("data/aliases.json", JSON.stringify({ "alpha-tech": ["Alpha Technologies (India)"] }));
+    await b.loadNameRegistry();
+    assert.deepEqual(b.nameRegistry.known, ["alpha-tech", "beta-foods", "gamma-steel"]);
+    assert.equal(b.ipoSlug("Alpha Technologies (India) Ltd"), "alpha-tech");
+    assert.equal(b.ipoSlug("Alpha Tech SME IPO"), "alpha-tech");
+
+    fs.writeFileSync("data/aliases.json", "{ nope");
+    await assert.rejects(b.loadNameRegistry(), /data\/aliases\.json:/);
+  } finally {
+    process.chdir(cwd);
+    b.nameRegistry.aliases.clear();
+    b.nameRegistry.known = [];
+  }
+});
@@ -0,0 +1,159 @@
+// test/notify.test.js — notification dispatch against local stand-ins
+// (HTTP stub for webhook/Telegram, scripted SMTP server, file sink). Offline.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const net = require("net");
+const n = require("../scripts/notify");
+const webhook = require("../scripts/notify/webhook");
+const telegram = require("../scripts/notify/telegram");
+const smtp = require("../scripts/notify/smtp");
+
+const NOW = Date.UTC(2026, 7, 22, 6, 30);
+const ev = (kind, slug, extra = {}) => ({
+  kind, key: `${kind}:${slug}`, ipo: slug.toUpperCase(), slug, gmp: 50, price: "₹100",
+  date: "21-25 August", type: "SME", status: "active", url: `https://livegmp.in/ipo/${slug}/`, ...extra,
+});
+
+test.beforeEach(() => {
+  test.mock.method(console, "log", () => {});
+  test.mock.method(console, "warn", () => {});
+});
+test.afterEach(() => { test.mock.restoreAll(); });
+
+// collects POSTed JSON bodies; /fail answers 500
+async function httpStub() {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      hits.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(req.url.startsWith("/fail") ? 500 : 200).end("{}");
+    });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  return { hits, base: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(r => server.close(r)) };
+}
+
+test("renderTemplate: placeholders, money and direction", () => {
+  const text = n.renderTemplate(n.DEFAULT_TEMPLATES["gmp-jump"], ev("gmp-jump", "abc", { prevGmp: 40, gmp: 30, pct: -25 }));
+  assert.equal(text, "📈 ABC GMP down 25%: ₹40 → ₹30\nhttps://livegmp.in/ipo/abc/");
+  assert.equal(n.renderTemplate("{ipo} {nope}", ev("new", "x")), "X ");
+});
+
+test("dispatch: ordered channels over HTTP, dedupe, failures and rate limits", async () => {
+  const stub = await httpStub();
+  try {
+    const env = { TELEGRAM_BOT_TOKEN: "T0K", TELEGRAM_CHAT_ID: "42", TELEGRAM_API_BASE: stub.base };
+    const channels = [
+      webhook({ url: `${stub.base}/fail` }),
+      telegram({ rateLimit: { max: 2, perMinutes: 60 }, templates: { opening: "{ipo} opens" } }, env),
+      webhook({ name: "hook", url: `${stub.base}/hook`, events: ["new"] }),
+    ];
+    const state = { sent: {}, channels: {} };
+    const events = [ev("opening", "a"), ev("new", "b"), ev("closing", "c")];
+    const { stats } = await n.dispatch(events, channels, state, NOW);
+
+    assert.deepEqual(stats, { sent: 3, failed: 3, limited: 1 });
+    assert.deepEqual(stub.hits.filter(h => h.url.startsWith("/bot")).map(h => h.body.text.split("\n")[0]),
+      ["A opens", "🆕 New IPO: B (SME) · GMP ₹50 · 21-25 August"]);
+    assert.equal(stub.hits.find(h => h.url === "/botT0K/sendMessage").body.chat_id, "42");
+    const hook = stub.hits.filter(h => h.url === "/hook");
+    assert.equal(hook.length, 1);
+    assert.equal(hook[0].body.slug, "b");
+    // only deliveries are recorded, per channel
+    assert.deepEqual(Object.keys(state.sent).sort(), ["new:b", "opening:a"]);
+    assert.deepEqual(Object.keys(state.sent["new:b"]).sort(), ["hook", "telegram"]);
+
+    // same events next run: delivered ones stay quiet, the rate-limited one
+    // goes out now and the broken webhook is tried again
+    const before = stub.hits.length;
+    const again = await n.dispatch(events, channels, state, NOW + 3600000);
+    assert.deepEqual(again.stats, { sent: 1, failed: 3, limited: 0 });
+    assert.deepEqual(stub.hits.slice(before).filter(h => !h.url.startsWith("/fail")).map(h => h.body.text.split("\n")[0]),
+      ["⏰ C IPO closes today · GMP ₹50"]);
+    assert.ok(state.sent["closing:c"].telegram);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("postJson: a hung endpoint is a delivery failure, not a stalled build", async () => {
+  const { postJson } = require("../scripts/notify/channel");
+  const server = http.createServer(() => {}); // never answers
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try {
+    await assert.rejects(postJson(`http://127.0.0.1:${server.address().port}/`, {}, { timeoutMs: 100 }), /timeout|abort/i);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(r => server.close(r));
+  }
+});
+
+test("readNotifyState: older single-timestamp entries count as delivered everywhere", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "livegmp-")), "state.json");
+  fs.writeFileSync(file, JSON.stringify({ sent: { "new:a": new Date(NOW).toISOString() } }));
+  const state = await n.readNotifyState(file);
+  const ch = webhook({ url: "http://127.0.0.1:9/" });
+  assert.equal((await n.dispatch([ev("new", "a")], [ch], state, NOW)).fresh, 0);
+});
+
+test("buildChannels: dry run swaps transports for the file sink", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "livegmp-")), "outbox.jsonl");
+  const env = { LIVEGMP_NOTIFY_DRY_RUN: file };
+  const channels = n.buildChannels({ channels: [{ type: "telegram" }, { type: "smtp", events: ["closing"] }] }, env);
+  assert.deepEqual(channels.map(c => [c.type, c.name, c.ready]), [["file", "telegram", true], ["file", "smtp", true]]);
+  await n.dispatch([ev("new", "a"), ev("closing", "b")], channels, { sent: {}, channels: {} }, NOW);
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n").map(JSON.parse);
+  assert.deepEqual(lines.map(l => `${l.channel}/${l.kind}`), ["telegram/new", "telegram/closing", "smtp/closing"]);
+  assert.match(lines[2].subject, /^LiveGMP: ⏰ B IPO closes today/);
+  assert.throws(() => n.buildChannels({ channels: [{ type: "pigeon" }] }, {}), /unknown channel type "pigeon"/);
+});
+
+test("smtp: talks a plain SMTP session to a local server", async () => {
+  const seen = [];
+  const server = net.createServer(sock => {
+    let buf = "", inData = false, auth = 0;
+    sock.write("220 stub ESMTP\r\n");
+    sock.on("data", c => {
+      buf += c;
+      let i;
+      while ((i = buf.indexOf("\r\n")) !== -1) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (inData) {
+          if (line === ".") { inData = false; sock.write("250 queued\r\n"); } else seen.push(line);
+          continue;
+        }
+        seen.push(line);
+        if (line.startsWith("EHLO")) sock.write("250-stub\r\n250 AUTH LOGIN\r\n");
+        else if (line === "AUTH LOGIN") { auth = 1; sock.write("334 VXNlcm5hbWU6\r\n"); }
+        else if (auth === 1) { auth = 2; sock.write("334 UGFzc3dvcmQ6\r\n"); }
+        else if (auth === 2) { auth = 0; sock.write("235 ok\r\n"); }
+        else if (line === "DATA") { inData = true; sock.write("354 go\r\n"); }
+        else if (line === "QUIT") sock.end("221 bye\r\n");
+        else sock.write("250 ok\r\n");
+      }
+    });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try {
+    const ch = smtp({}, {
+      SMTP_HOST: "127.0.0.1", SMTP_PORT: String(server.address().port),
+      SMTP_USER: "u", SMTP_PASS: "p", SMTP_FROM: "bot@livegmp.in", SMTP_TO: "a@x.in, b@x.in",
+    });
+    await ch.send(n.messageFor(ch, ev("closing", "abc")));
+    assert.ok(seen.includes("MAIL FROM:<bot@livegmp.in>"));
+    assert.ok(seen.includes("RCPT TO:<b@x.in>"));
+    assert.ok(seen.includes(Buffer.from("u").toString("base64")));
+    assert.ok(seen.includes("⏰ ABC IPO closes today · GMP ₹50"));
+    assert.equal(seen[seen.length - 1], "QUIT");
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+});
@@ -0,0 +1,48 @@
+// test/template.test.js — the page template layer (scripts/template.js) and
+// the partials shared with the hand-written pages.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const t = require("../scripts/template");
+
+test("renderString: escapes by default, raw on request, blanks for missing values", () => {
+  const ctx = { name: `Alpha & "Beta" <Co>`, html: "<b>x</b>", zero: 0, none: null, off: false };
+  assert.equal(t.renderString("{{ name }}|{{{ html }}}|{{ zero }}|{{ none }}|{{ off }}|{{ nope.deeper }}", ctx),
+    "Alpha &amp; &quot;Beta&quot; &lt;Co&gt;|<b>x</b>|0|||");
+});
+
+test("renderString: if/else, unless and each with outward scope lookup", () => {
+  const tpl = "{{#each rows}}{{#if pinned}}*{{else}}-{{/if}}{{ ipo }}@{{ site }};{{/each}}{{#unless rows}}none{{/unless}}{{#if empty}}x{{/if}}";
+  assert.equal(t.renderString(tpl, { site: "livegmp", empty: [], rows: [{ ipo: "A", pinned: true }, { ipo: "B" }] }),
+    "*A@livegmp;-B@livegmp;");
+  assert.equal(t.renderString(tpl, { rows: [] }), "none");
+  assert.equal(t.renderString("{{#each list}}[{{ . }}]{{/each}}", { list: ["a<", "b"] }), "[a&lt;][b]");
+  assert.throws(() => t.renderString("{{#if a}}x{{/each}}"), /\{\{\/each\}\} does not close \{\{#if a\}\}/);
+  assert.throws(() => t.renderString("{{#each a}}x"), /unclosed \{\{#each a\}\}/);
+});
+
+test("render: partials from templates/, nav state from the context", () => {
+  const header = t.render("header", { active: { calendar: true } });
+  assert.match(header, /<a href="\/calendar\/" class="nav-active">Calendar<\/a>/);
+  assert.equal((header.match(/nav-active/g) || []).length, 1);
+  assert.match(t.render("layout", { title: "T & co", body: "<p>b</p>", mark: "<!-- AUTO_STUB -->" }),
+    /<title>T &amp; co<\/title>[\s\S]*<!-- AUTO_STUB -->\n<header class="site-header">[\s\S]*<p>b<\/p>[\s\S]*<footer/);
+});
+
+test("renderPartials: markers are re-rendered with their params and indentation", () => {
+  const page = `<body>\n  <!-- PARTIAL footer disclaimer="Not advice." -->\n  <p>stale</p>\n  <!-- /PARTIAL -->\n</body>`;
+  const out = t.renderPartials(page);
+  assert.match(out, /^<body>\n  <!-- PARTIAL footer disclaimer="Not advice." -->\n  <footer class="site-footer">\n    <p>Not advice.<\/p>/);
+  assert.ok(out.endsWith("  </footer>\n  <!-- /PARTIAL -->\n</body>"));
+  assert.equal(t.renderPartials(out), out);
+});
+
+test("hand-written pages are in sync with the shared partials", () => {
+  for (const file of ["index.html", "what-is-gmp.html", "ipo-allotment-status.html"]) {
+    const html = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+    assert.match(html, /<!-- PARTIAL header /, file);
+    assert.equal(t.renderPartials(html), html, `${file}: run node scripts/build_gmp.js --only index`);
+  }
+});